@@ -187,6 +187,7 @@ EOF
     echo -e "${CYAN}=== SteamOS / Steam Deck Instructions ===${NC}"
     echo ""
     echo -e "${WHITE}To add to Steam as a non-Steam game:${NC}"
+    echo -e "${GRAY}  Start the app and choose Help > Add to Steam... (quit Steam first), or by hand:${NC}"
     echo -e "${GRAY}  1. Switch to Desktop Mode${NC}"
     echo -e "${GRAY}  2. Open Steam → Add a Game → Add a Non-Steam Game${NC}"
     echo -e "${GRAY}  3. Browse to: ${BUILT_APP_DIR}/Gemini Desktop${NC}"
@@ -0,0 +1,64 @@
+// App lock passphrase hashing (scrypt with a random salt) and failed-attempt throttling
+
+const crypto = require('crypto');
+
+const MIN_PASSPHRASE_LENGTH = 4;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+const FREE_ATTEMPTS = 5;          // Failures before unlocking starts to slow down
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+function scrypt(passphrase, salt, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase.normalize('NFC'), salt, KEY_LENGTH, { N, r, p, maxmem: 128 * N * r * 2 }, (error, key) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(key);
+      }
+    });
+  });
+}
+
+// Resolves to the record to store: { algorithm, N, r, p, salt, hash }
+async function hashPassphrase(passphrase) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(passphrase, salt, SCRYPT_PARAMS);
+  return {
+    algorithm: 'scrypt',
+    ...SCRYPT_PARAMS,
+    salt: salt.toString('base64'),
+    hash: key.toString('base64')
+  };
+}
+
+function isValidLockRecord(record) {
+  return !!record && record.algorithm === 'scrypt' && record.N <= 2 ** 20 &&
+    [record.N, record.r, record.p].every(Number.isInteger) &&
+    typeof record.salt === 'string' && typeof record.hash === 'string';
+}
+
+async function verifyPassphrase(passphrase, record) {
+  if (typeof passphrase !== 'string' || !isValidLockRecord(record)) {
+    return false;
+  }
+  const expected = Buffer.from(record.hash, 'base64');
+  const key = await scrypt(passphrase, Buffer.from(record.salt, 'base64'), record);
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+// Milliseconds to wait before the next attempt after `failures` wrong passphrases
+function retryDelay(failures) {
+  if (failures < FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(MAX_RETRY_DELAY_MS, 1000 * 2 ** (failures - FREE_ATTEMPTS));
+}
+
+module.exports = {
+  MIN_PASSPHRASE_LENGTH,
+  hashPassphrase,
+  verifyPassphrase,
+  isValidLockRecord,
+  retryDelay
+};
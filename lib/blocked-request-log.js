@@ -0,0 +1,70 @@
+// Fixed-size log of blocked network requests, aggregated by host and resource type.
+// When full, the entry that was seen least recently is dropped.
+
+function createBlockedRequestLog(capacity = 200) {
+  const entries = new Map();  // "host|resourceType" -> entry, least recently seen first
+
+  return {
+    // Returns true when this host/type had not been seen before
+    record(host, resourceType, url, time = Date.now()) {
+      const key = `${host}|${resourceType}`;
+      const existing = entries.get(key);
+      if (existing) {
+        entries.delete(key);
+        existing.count++;
+        existing.lastSeen = time;
+        existing.lastUrl = url;
+        entries.set(key, existing);
+        return false;
+      }
+
+      entries.set(key, { host, resourceType, count: 1, firstSeen: time, lastSeen: time, lastUrl: url });
+      if (entries.size > capacity) {
+        entries.delete(entries.keys().next().value);
+      }
+      return true;
+    },
+
+    // Most recently seen first
+    entries() {
+      return [...entries.values()].reverse().map(entry => ({ ...entry }));
+    },
+
+    // Forget a host (e.g. once it has been allowed)
+    removeHost(host) {
+      for (const [key, entry] of entries) {
+        if (entry.host === host) {
+          entries.delete(key);
+        }
+      }
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+// Hostname or domain suitable for the allowlist (lowercase, no scheme/port/path)
+function normalizeDomain(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+  const domain = input.trim().toLowerCase().replace(/^\*?\./, '');
+  return /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(domain) ? domain : null;
+}
+
+// A host matches a domain entry when it is the domain or one of its subdomains
+function isHostAllowed(hostname, domains) {
+  return domains.some(domain => hostname === domain || hostname.endsWith('.' + domain));
+}
+
+module.exports = {
+  createBlockedRequestLog,
+  normalizeDomain,
+  isHostAllowed
+};
@@ -0,0 +1,119 @@
+// Local conversation archive: in-memory model, size limit and full-text search
+// Persistence (encrypted with safeStorage) is handled by main.js
+
+function createArchive() {
+  return { version: 1, conversations: {} };
+}
+
+// Normalize whatever was loaded from disk
+function normalizeArchive(data) {
+  if (!data || typeof data !== 'object' || typeof data.conversations !== 'object' || !data.conversations) {
+    return createArchive();
+  }
+  return { version: 1, conversations: data.conversations };
+}
+
+// Add or replace a conversation snapshot; returns false when nothing changed
+function upsertConversation(archive, snapshot, now = Date.now()) {
+  if (!snapshot || !snapshot.chatId || !Array.isArray(snapshot.turns) || snapshot.turns.length === 0) {
+    return false;
+  }
+
+  const turns = snapshot.turns
+    .filter(turn => turn && typeof turn.text === 'string')
+    .map(turn => ({ role: turn.role === 'user' ? 'user' : 'model', text: turn.text }));
+  const existing = archive.conversations[snapshot.chatId];
+  if (existing && existing.title === snapshot.title && JSON.stringify(existing.turns) === JSON.stringify(turns)) {
+    return false;
+  }
+
+  archive.conversations[snapshot.chatId] = {
+    chatId: snapshot.chatId,
+    title: snapshot.title || 'Untitled chat',
+    url: snapshot.url,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+    turns
+  };
+  return true;
+}
+
+function removeConversation(archive, chatId) {
+  delete archive.conversations[chatId];
+}
+
+function archiveSize(archive) {
+  return Buffer.byteLength(JSON.stringify(archive));
+}
+
+// Drop the least recently updated conversations until the archive fits
+function enforceSizeLimit(archive, maxBytes) {
+  const byAge = Object.values(archive.conversations).sort((a, b) => a.updatedAt - b.updatedAt);
+  let size = archiveSize(archive);
+  let removed = 0;
+
+  while (size > maxBytes && byAge.length > 0) {
+    const oldest = byAge.shift();
+    size -= Buffer.byteLength(JSON.stringify(oldest));
+    delete archive.conversations[oldest.chatId];
+    removed++;
+  }
+  return removed;
+}
+
+function tokenize(query) {
+  return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// Text around the first match, on one line
+function makeSnippet(text, term, radius = 80) {
+  const flat = text.replace(/\s+/g, ' ');
+  const index = term ? flat.toLowerCase().indexOf(term) : -1;
+  if (index < 0) {
+    return flat.slice(0, radius * 2) + (flat.length > radius * 2 ? '…' : '');
+  }
+  const start = Math.max(0, index - radius);
+  const end = Math.min(flat.length, index + term.length + radius);
+  return (start > 0 ? '…' : '') + flat.slice(start, end) + (end < flat.length ? '…' : '');
+}
+
+// Every term must appear in the title or a turn; title hits rank first, then recency
+function searchArchive(archive, query, limit = 100) {
+  const terms = tokenize(query || '');
+  const conversations = Object.values(archive.conversations);
+
+  const results = [];
+  for (const conversation of conversations) {
+    const title = conversation.title.toLowerCase();
+    const body = conversation.turns.map(turn => turn.text).join('\n');
+    const haystack = `${title}\n${body.toLowerCase()}`;
+    if (!terms.every(term => haystack.includes(term))) {
+      continue;
+    }
+
+    const matchingTurn = terms.length > 0
+      ? conversation.turns.find(turn => turn.text.toLowerCase().includes(terms[0]))
+      : conversation.turns[0];
+    results.push({
+      chatId: conversation.chatId,
+      title: conversation.title,
+      updatedAt: conversation.updatedAt,
+      snippet: makeSnippet(matchingTurn ? matchingTurn.text : body, terms[0]),
+      titleMatch: terms.length > 0 && terms.every(term => title.includes(term))
+    });
+  }
+
+  results.sort((a, b) => (b.titleMatch - a.titleMatch) || (b.updatedAt - a.updatedAt));
+  return results.slice(0, limit);
+}
+
+module.exports = {
+  createArchive,
+  normalizeArchive,
+  upsertConversation,
+  removeConversation,
+  archiveSize,
+  enforceSizeLimit,
+  searchArchive,
+  makeSnippet
+};
@@ -0,0 +1,106 @@
+// Conversation export formats (Markdown, standalone HTML, JSON)
+// Input is the structure produced by extractConversation() in preload.js
+
+const ROLE_LABELS = { user: 'You', model: 'Gemini' };
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function toMarkdown(conversation) {
+  const lines = [`# ${conversation.title || 'Gemini conversation'}`, ''];
+  if (conversation.url) {
+    lines.push(`Source: ${conversation.url}  `);
+  }
+  lines.push(`Exported: ${conversation.exportedAt}`, '');
+
+  for (const turn of conversation.turns) {
+    lines.push(`## ${ROLE_LABELS[turn.role] || turn.role}`, '', turn.text, '');
+  }
+  return lines.join('\n');
+}
+
+function toHtml(conversation) {
+  const title = escapeHtml(conversation.title || 'Gemini conversation');
+  const turns = conversation.turns.map(turn => {
+    // Prompts are plain text; responses were sanitized by the preload
+    const body = turn.role === 'model' && turn.html
+      ? turn.html
+      : `<p>${escapeHtml(turn.text).replace(/\n/g, '<br>')}</p>`;
+    return `  <section class="turn ${turn.role}">
+    <h2>${escapeHtml(ROLE_LABELS[turn.role] || turn.role)}</h2>
+    ${body}
+  </section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src https: data:; style-src 'unsafe-inline'">
+  <title>${title}</title>
+  <style>
+    body { max-width: 860px; margin: 2em auto; padding: 0 1em; font-family: system-ui, sans-serif; line-height: 1.55; color: #1f1f1f; }
+    header { border-bottom: 1px solid #ddd; margin-bottom: 1.5em; }
+    header p { color: #666; font-size: 0.9em; }
+    .turn { margin-bottom: 1.5em; padding: 0.5em 1em; border-radius: 8px; }
+    .turn.user { background: #f0f4f9; }
+    .turn h2 { font-size: 0.85em; text-transform: uppercase; letter-spacing: 0.05em; color: #555; }
+    pre { background: #1e1f20; color: #e3e3e3; padding: 1em; border-radius: 6px; overflow-x: auto; }
+    pre[data-language]::before { content: attr(data-language); display: block; font-size: 0.8em; color: #999; margin-bottom: 0.5em; }
+    code { font-family: ui-monospace, Consolas, monospace; }
+    img { max-width: 100%; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${title}</h1>
+    <p>${conversation.url ? `<a href="${escapeHtml(conversation.url)}">${escapeHtml(conversation.url)}</a> &middot; ` : ''}Exported ${escapeHtml(conversation.exportedAt)}</p>
+  </header>
+${turns}
+</body>
+</html>
+`;
+}
+
+function toJson(conversation) {
+  return JSON.stringify({ format: 'gemini-desktop-conversation', version: 1, ...conversation }, null, 2);
+}
+
+// Pick the format from the chosen file's extension
+function formatConversation(conversation, filePath) {
+  const extension = filePath.toLowerCase().split('.').pop();
+  if (extension === 'html' || extension === 'htm') {
+    return toHtml(conversation);
+  }
+  if (extension === 'json') {
+    return toJson(conversation);
+  }
+  return toMarkdown(conversation);
+}
+
+// Safe default file name from the chat title
+function suggestFileName(conversation, extension = 'md') {
+  const base = (conversation.title || 'Gemini conversation')
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80) || 'Gemini conversation';
+  return `${base}.${extension}`;
+}
+
+module.exports = {
+  escapeHtml,
+  toMarkdown,
+  toHtml,
+  toJson,
+  formatConversation,
+  suggestFileName
+};
@@ -0,0 +1,50 @@
+// Diagnostics export: redaction of text that leaves the computer and a settings summary without private data
+
+// Escape a literal for use in a RegExp
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replace personal details in logs and reports: home folder, user name, e-mail addresses,
+// credentials and query strings in URLs, and Gemini chat ids
+function redact(text, { homeDir = '', userName = '' } = {}) {
+  // Query strings, then URL credentials (the <credentials> marker would end a URL early), then e-mail
+  // addresses, which often appear inside both
+  let result = String(text)
+    .replace(/(\w+:\/\/[^\s?#"'<>]+)[?#][^\s"'<>]*/g, '$1?<redacted>')
+    .replace(/(\w+:\/\/)[^\s/?#@:]+(:[^\s/?#]*)?@/g, '$1<credentials>@')
+    .replace(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '<email>')
+    .replace(/\/app\/[A-Za-z0-9_-]{8,}/g, '/app/<chat>');
+  if (homeDir) {
+    // Both separators, since Windows paths show up either way
+    const variants = new Set([homeDir, homeDir.replace(/\\/g, '/'), homeDir.replace(/\//g, '\\')]);
+    for (const variant of variants) {
+      result = result.replace(new RegExp(escapeRegExp(variant), process.platform === 'linux' ? 'g' : 'gi'), '~');
+    }
+  }
+  if (userName && userName.length >= 3) {
+    result = result.replace(new RegExp(`\\b${escapeRegExp(userName)}\\b`, 'gi'), '<user>');
+  }
+  return result;
+}
+
+// Settings worth seeing when debugging, with content and history reduced to counts
+function summarizeSettings(settings) {
+  const { profiles, promptTemplates, openChats, ...rest } = settings;
+  return {
+    ...rest,
+    profiles: profiles.map(profile => ({
+      id: profile.id,
+      neverArchive: !!profile.neverArchive,
+      customAllowlist: Array.isArray(profile.allowedDomains),
+      proxyMode: profile.proxy ? profile.proxy.mode : 'system'
+    })),
+    promptTemplates: promptTemplates.length,
+    openChats: openChats.length
+  };
+}
+
+module.exports = {
+  redact,
+  summarizeSettings
+};
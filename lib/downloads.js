@@ -0,0 +1,74 @@
+// Download helpers: safe file names, non-clobbering save paths and the history list
+
+const path = require('path');
+
+const MAX_FILE_NAME_BYTES = 200;
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i;
+
+// Make a server- or page-supplied name safe to create on any platform
+function sanitizeFileName(name, fallback = 'download') {
+  let clean = String(name || '')
+    .normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]+/g, '_')  // Control characters and ones Windows reserves
+    .replace(/^[\s.]+|[\s.]+$/g, '')                     // No hidden files, no trailing dots or spaces (Windows)
+    .replace(/_{2,}/g, '_');
+
+  const ext = path.extname(clean);
+  let base = ext ? clean.slice(0, -ext.length) : clean;
+  if (!base || WINDOWS_RESERVED_NAMES.test(base)) {
+    base = base ? `${base}_` : fallback;
+  }
+
+  // Trim the base name (never the extension) to a byte limit most file systems accept
+  while (Buffer.byteLength(base + ext) > MAX_FILE_NAME_BYTES && base.length > 1) {
+    base = base.slice(0, -1);
+  }
+  clean = base + ext;
+  return Buffer.byteLength(clean) > MAX_FILE_NAME_BYTES ? fallback : clean;
+}
+
+// "report.pdf" -> "report (1).pdf" while the name is taken
+function uniqueFilePath(directory, fileName, exists) {
+  const ext = path.extname(fileName);
+  const base = ext ? fileName.slice(0, -ext.length) : fileName;
+  let candidate = path.join(directory, fileName);
+  for (let i = 1; exists(candidate); i++) {
+    candidate = path.join(directory, `${base} (${i})${ext}`);
+  }
+  return candidate;
+}
+
+// Host a download came from (blob: and data: URLs included), for the history list
+function describeSource(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'blob:') {
+      return new URL(parsed.pathname).hostname;
+    }
+    if (parsed.protocol === 'data:') {
+      return 'generated in the page';
+    }
+    return parsed.hostname;
+  } catch {
+    return '';
+  }
+}
+
+// Combined progress of active downloads: { count, fraction } (fraction is -1 when sizes are unknown)
+function summarizeProgress(entries) {
+  const active = entries.filter(entry => entry.state === 'progressing');
+  const total = active.reduce((sum, entry) => sum + entry.totalBytes, 0);
+  const received = active.reduce((sum, entry) => sum + entry.receivedBytes, 0);
+  const sizesKnown = active.every(entry => entry.totalBytes > 0);
+  return {
+    count: active.length,
+    fraction: active.length > 0 && sizesKnown && total > 0 ? Math.min(1, received / total) : -1
+  };
+}
+
+module.exports = {
+  sanitizeFileName,
+  uniqueFilePath,
+  describeSource,
+  summarizeProgress
+};
@@ -0,0 +1,303 @@
+// Tracker blocking: parser and matcher for the network rules of Adblock Plus / EasyPrivacy filter lists.
+// Supported: ||domain anchors, | anchors, * and ^ wildcards, @@ exceptions and the options
+// third-party, domain=, match-case, important and resource types. Cosmetic (##) rules, regex
+// rules and rules with other options (redirect, csp, ...) are skipped.
+
+// Filter list option -> Electron webRequest resource types
+const RESOURCE_TYPE_OPTIONS = {
+  script: ['script'],
+  image: ['image'],
+  stylesheet: ['stylesheet'],
+  font: ['font'],
+  media: ['media'],
+  object: ['object'],
+  'object-subrequest': ['object'],
+  xmlhttprequest: ['xhr'],
+  subdocument: ['subFrame'],
+  ping: ['ping', 'cspReport'],
+  websocket: ['webSocket'],
+  other: ['other']
+};
+
+const SEPARATOR_CLASS = '[^\\w\\-.%]';
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?${}()|[\]\\/]/g, '\\$&');
+}
+
+// Rough registrable domain (no public suffix list): example.com, example.co.uk
+function getBaseDomain(hostname) {
+  const labels = hostname.split('.');
+  if (labels.length <= 2) {
+    return hostname;
+  }
+  const [secondLevel, topLevel] = labels.slice(-2);
+  const keep = topLevel.length === 2 && secondLevel.length <= 3 ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+function hostMatches(hostname, domain) {
+  return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+// Parse "$option,option=value" into a rule; returns false for unsupported options
+function applyOptions(rule, optionText) {
+  for (const option of optionText.split(',')) {
+    const [rawName, value] = option.split('=');
+    const negated = rawName.startsWith('~');
+    const name = rawName.replace(/^~/, '').toLowerCase();
+
+    if (name === 'third-party' || name === '3p') {
+      rule.thirdParty = !negated;
+    } else if (name === 'first-party' || name === '1p') {
+      rule.thirdParty = negated;
+    } else if (name === 'match-case') {
+      rule.matchCase = true;
+    } else if (name === 'important') {
+      rule.important = true;
+    } else if (name === 'domain' && value) {
+      for (const domain of value.toLowerCase().split('|')) {
+        if (domain.startsWith('~')) {
+          rule.excludedDomains.push(domain.slice(1));
+        } else {
+          rule.includedDomains.push(domain);
+        }
+      }
+    } else if (RESOURCE_TYPE_OPTIONS[name]) {
+      const target = negated ? rule.excludedTypes : rule.includedTypes;
+      target.push(...RESOURCE_TYPE_OPTIONS[name]);
+    } else {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Longest token of the pattern that must appear whole in a matching URL (used for indexing)
+function pickToken(pattern, anchoredStart, anchoredEnd) {
+  let best = '';
+  for (const match of pattern.matchAll(/[a-z0-9%]{2,}/g)) {
+    const before = pattern[match.index - 1];
+    const after = pattern[match.index + match[0].length];
+    const boundedBefore = before === undefined ? anchoredStart : before !== '*';
+    const boundedAfter = after === undefined ? anchoredEnd : after !== '*';
+    if (boundedBefore && boundedAfter && match[0].length > best.length) {
+      best = match[0];
+    }
+  }
+  return best;
+}
+
+// Parse one line; returns null for comments, cosmetic rules and anything unsupported
+function parseRule(line) {
+  let text = line.trim();
+  if (!text || text.startsWith('!') || text.startsWith('[') || /#[@?$%]?#|#@?\$#/.test(text)) {
+    return null;
+  }
+
+  const rule = {
+    text,
+    exception: false,
+    thirdParty: undefined,
+    matchCase: false,
+    important: false,
+    includedDomains: [],
+    excludedDomains: [],
+    includedTypes: [],
+    excludedTypes: [],
+    host: null,
+    regex: null,
+    token: ''
+  };
+
+  if (text.startsWith('@@')) {
+    rule.exception = true;
+    text = text.slice(2);
+  }
+
+  const optionIndex = text.lastIndexOf('$');
+  if (optionIndex > 0 && !text.slice(optionIndex).includes('/')) {
+    if (!applyOptions(rule, text.slice(optionIndex + 1))) {
+      return null;
+    }
+    text = text.slice(0, optionIndex);
+  }
+
+  // Regex rules are skipped: too slow to test against every request
+  if (text.startsWith('/') && text.endsWith('/') && text.length > 2) {
+    return null;
+  }
+
+  let pattern = rule.matchCase ? text : text.toLowerCase();
+  let prefix = '';
+  let suffix = '';
+  const domainAnchor = pattern.startsWith('||');
+  if (domainAnchor) {
+    pattern = pattern.slice(2);
+    prefix = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^\\/?#]*\\.)?';
+    // ||host^ or ||host/... can be looked up by host instead of by token
+    const hostMatch = /^([a-z0-9.-]+)(?=[\^/]|$)/.exec(pattern);
+    if (hostMatch && hostMatch[1].includes('.')) {
+      rule.host = hostMatch[1];
+    }
+  } else if (pattern.startsWith('|')) {
+    pattern = pattern.slice(1);
+    prefix = '^';
+  }
+  if (pattern.endsWith('|')) {
+    pattern = pattern.slice(0, -1);
+    suffix = '$';
+  }
+  if (!pattern && !rule.host) {
+    return null;
+  }
+
+  // A bare ||host^ needs no regex at all
+  if (!(rule.host && (pattern === rule.host || pattern === `${rule.host}^`))) {
+    const body = pattern
+      .split('*')
+      .map(part => escapeRegExp(part).replace(/\^/g, `(?:${SEPARATOR_CLASS}|$)`))
+      .join('.*');
+    rule.regex = new RegExp(prefix + body + suffix, rule.matchCase ? '' : 'i');
+  }
+  // Tokens are looked up in the lower-cased URL, also for match-case rules
+  rule.token = rule.host ? '' : pickToken(pattern.toLowerCase(), !!prefix, !!suffix);
+  return rule;
+}
+
+function parseFilterList(text) {
+  const rules = [];
+  let skipped = 0;
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('!') || trimmed.startsWith('[')) {
+      continue;
+    }
+    const rule = parseRule(trimmed);
+    if (rule) {
+      rules.push(rule);
+    } else {
+      skipped++;
+    }
+  }
+  return { rules, skipped };
+}
+
+// Does a rule apply to this request? (the URL pattern itself is checked by the caller)
+function ruleApplies(rule, request) {
+  if (rule.includedTypes.length > 0 && !rule.includedTypes.includes(request.resourceType)) {
+    return false;
+  }
+  if (rule.excludedTypes.includes(request.resourceType)) {
+    return false;
+  }
+  if (rule.thirdParty !== undefined) {
+    if (!request.firstPartyHost) {
+      return false;
+    }
+    const isThirdParty = getBaseDomain(request.hostname) !== getBaseDomain(request.firstPartyHost);
+    if (isThirdParty !== rule.thirdParty) {
+      return false;
+    }
+  }
+  if (rule.includedDomains.length > 0 &&
+      !(request.firstPartyHost && rule.includedDomains.some(domain => hostMatches(request.firstPartyHost, domain)))) {
+    return false;
+  }
+  if (request.firstPartyHost && rule.excludedDomains.some(domain => hostMatches(request.firstPartyHost, domain))) {
+    return false;
+  }
+  return !rule.regex || rule.regex.test(request.url);
+}
+
+// Index rules by host (||host rules) and by token (everything else) so each request
+// only tests the handful of rules that could match it
+function createRuleIndex() {
+  const byHost = new Map();
+  const byToken = new Map();
+
+  const add = (map, key, rule) => {
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push(rule);
+  };
+
+  return {
+    add(rule) {
+      if (rule.host) {
+        add(byHost, rule.host, rule);
+      } else {
+        add(byToken, rule.token, rule);
+      }
+    },
+
+    find(request) {
+      const labels = request.hostname.split('.');
+      for (let i = 0; i < labels.length - 1; i++) {
+        for (const rule of byHost.get(labels.slice(i).join('.')) || []) {
+          if (ruleApplies(rule, request)) {
+            return rule;
+          }
+        }
+      }
+
+      const tokens = new Set(request.url.toLowerCase().match(/[a-z0-9%]{2,}/g) || []);
+      tokens.add('');
+      for (const token of tokens) {
+        for (const rule of byToken.get(token) || []) {
+          if (ruleApplies(rule, request)) {
+            return rule;
+          }
+        }
+      }
+      return null;
+    }
+  };
+}
+
+// lists: [{ name, text }]. request: { url, hostname, resourceType, firstPartyHost }
+function createFilterEngine(lists) {
+  const blocking = createRuleIndex();
+  const important = createRuleIndex();
+  const exceptions = createRuleIndex();
+  const stats = [];
+
+  for (const list of lists) {
+    const { rules, skipped } = parseFilterList(list.text);
+    for (const rule of rules) {
+      rule.list = list.name;
+      if (rule.exception) {
+        exceptions.add(rule);
+      } else if (rule.important) {
+        important.add(rule);
+      } else {
+        blocking.add(rule);
+      }
+    }
+    stats.push({ name: list.name, rules: rules.length, skipped });
+  }
+
+  return {
+    stats,
+
+    // Returns the blocking rule, or null when the request may go ahead
+    match(request) {
+      const importantRule = important.find(request);
+      if (importantRule) {
+        return importantRule;
+      }
+      const rule = blocking.find(request);
+      if (!rule || exceptions.find(request)) {
+        return null;
+      }
+      return rule;
+    }
+  };
+}
+
+module.exports = {
+  parseFilterList,
+  createFilterEngine,
+  getBaseDomain
+};
@@ -0,0 +1,51 @@
+// Page load failures: readable reasons for Chromium network errors and the retry schedule
+
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+// net::ERR_* codes from Chromium's net_error_list.h that users actually run into
+const LOAD_ERROR_MESSAGES = {
+  [-106]: 'Your computer is offline.',
+  [-105]: 'The address of gemini.google.com could not be found. Check your network or DNS settings.',
+  [-137]: 'The address of gemini.google.com could not be found. Check your network or DNS settings.',
+  [-21]: 'The network connection changed while loading.',
+  [-100]: 'The connection was closed unexpectedly.',
+  [-101]: 'The connection was reset.',
+  [-102]: 'The connection was refused.',
+  [-104]: 'The connection failed.',
+  [-109]: 'Gemini is unreachable from this network.',
+  [-118]: 'The connection timed out.',
+  [-7]: 'The connection timed out.',
+  [-130]: 'The proxy server is not responding. Check Account > Proxy Settings.',
+  [-111]: 'The proxy server refused the connection. Check Account > Proxy Settings.',
+  [-127]: 'The proxy server asked for a login that was not given.',
+  [-20]: 'The page was blocked by the network allowlist (View > Network Activity).'
+};
+
+// Readable reason for a did-fail-load error
+function describeLoadError(code, description = '') {
+  if (LOAD_ERROR_MESSAGES[code]) {
+    return LOAD_ERROR_MESSAGES[code];
+  }
+  // Certificate errors are -200 to -299
+  if (code <= -200 && code > -300) {
+    return 'The connection is not secure: its certificate was rejected (View > Certificates).';
+  }
+  return `The page could not be loaded${description ? ` (${description})` : ''}.`;
+}
+
+// Whether the failure is because this computer has no connection at all
+function isOfflineError(code) {
+  return code === -106;
+}
+
+// Wait before retry number <attempt> (1-based): 5 s, 10 s, 20 s, ... up to 5 minutes
+function retryDelay(attempt) {
+  return Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** Math.max(0, attempt - 1));
+}
+
+module.exports = {
+  describeLoadError,
+  isOfflineError,
+  retryDelay
+};
@@ -0,0 +1,82 @@
+// Leveled logger that writes to the console and to size-rotated files (<name>.log, <name>.1.log, ...)
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+function createLogger({ dir, name = 'main', level = 'info', maxBytes = 1024 * 1024, maxFiles = 5, output = console }) {
+  const currentPath = path.join(dir, `${name}.log`);
+  const rotatedPath = (index) => path.join(dir, `${name}.${index}.log`);
+  let threshold = LOG_LEVELS.indexOf(level);
+  let size = null;  // Bytes in the current file, read on the first write
+  let writeFailed = false;
+
+  // main.log -> main.1.log -> ... -> main.<maxFiles - 1>.log, dropping the oldest
+  function rotate() {
+    fs.rmSync(rotatedPath(maxFiles - 1), { force: true });
+    for (let index = maxFiles - 2; index >= 1; index--) {
+      if (fs.existsSync(rotatedPath(index))) {
+        fs.renameSync(rotatedPath(index), rotatedPath(index + 1));
+      }
+    }
+    fs.renameSync(currentPath, rotatedPath(1));
+  }
+
+  function writeLine(levelName, args) {
+    if (writeFailed) {
+      return;
+    }
+    const line = `${new Date().toISOString()} ${levelName.toUpperCase().padEnd(5)} ${util.format(...args)}\n`;
+    try {
+      if (size === null) {
+        fs.mkdirSync(dir, { recursive: true });
+        size = fs.existsSync(currentPath) ? fs.statSync(currentPath).size : 0;
+      }
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > maxBytes) {
+        rotate();
+        size = 0;
+      }
+      fs.appendFileSync(currentPath, line);
+      size += bytes;
+    } catch (error) {
+      // A full or read-only disk must not take the app down; the console still gets everything
+      writeFailed = true;
+      output.error(`Could not write to ${currentPath}:`, error.message);
+    }
+  }
+
+  const logger = {
+    get level() {
+      return LOG_LEVELS[threshold];
+    },
+    setLevel(newLevel) {
+      if (LOG_LEVELS.includes(newLevel)) {
+        threshold = LOG_LEVELS.indexOf(newLevel);
+      }
+    },
+    // Existing log files, newest first
+    files() {
+      return [currentPath, ...Array.from({ length: maxFiles - 1 }, (unused, index) => rotatedPath(index + 1))]
+        .filter(filePath => fs.existsSync(filePath));
+    }
+  };
+
+  for (const [index, levelName] of LOG_LEVELS.entries()) {
+    logger[levelName] = (...args) => {
+      if (index > threshold) {
+        return;
+      }
+      output[levelName === 'error' || levelName === 'warn' ? levelName : 'log'](...args);
+      writeLine(levelName, args);
+    };
+  }
+  return logger;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger
+};
@@ -0,0 +1,165 @@
+// Managed policy file: lets administrators force, lock or preset settings, pin the
+// network allowlist and turn off DevTools, sign-out and cache clearing
+
+const fs = require('fs');
+const path = require('path');
+const { settingsSchema, validateSetting } = require('./settings-schema');
+const { normalizeDomain } = require('./blocked-request-log');
+
+// State the app keeps for itself; a policy cannot set these
+const UNMANAGED_SETTINGS = ['settingsVersion', 'profiles', 'activeProfile', 'windowState', 'openChats'];
+
+const POLICY_FLAGS = ['disableDevTools', 'disableSignOut', 'disableClearCache'];
+
+function emptyPolicy() {
+  return {
+    settings: {},        // Forced values; the user cannot change them
+    defaults: {},        // Initial values; the user can change them
+    locked: [],          // Settings kept at their current value
+    allowedDomains: null,  // Network allowlist for every profile, not editable when set
+    disableDevTools: false,
+    disableSignOut: false,
+    disableClearCache: false
+  };
+}
+
+// System-wide location, writable only by administrators
+function defaultPolicyPath(platform = process.platform, env = process.env) {
+  if (platform === 'win32') {
+    return path.win32.join(env.ProgramData || 'C:\\ProgramData', 'Gemini Desktop', 'policy.json');
+  }
+  if (platform === 'darwin') {
+    return '/Library/Application Support/Gemini Desktop/policy.json';
+  }
+  return '/etc/gemini-desktop/policy.json';
+}
+
+function isManageable(key) {
+  return Object.prototype.hasOwnProperty.call(settingsSchema, key) && !UNMANAGED_SETTINGS.includes(key);
+}
+
+// Used when a policy file exists but cannot be used: every setting a policy could manage is locked
+// and the flags are on, so a damaged file never leaves the app less restricted than intended
+function lockedPolicy() {
+  const policy = emptyPolicy();
+  policy.locked = Object.keys(settingsSchema).filter(isManageable);
+  for (const flag of POLICY_FLAGS) {
+    policy[flag] = true;
+  }
+  return policy;
+}
+
+// Valid settings from a policy section; problems go to errors
+function normalizeSettingValues(section, values, errors) {
+  const result = {};
+  if (values === undefined) {
+    return result;
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    errors.push(`${section} must be an object`);
+    return result;
+  }
+  for (const [key, value] of Object.entries(values)) {
+    if (!isManageable(key)) {
+      errors.push(`${section}.${key} is not a setting a policy can manage`);
+      continue;
+    }
+    const validation = validateSetting(key, value);
+    if (validation.valid) {
+      result[key] = validation.value;
+    } else {
+      errors.push(`${section}.${key} ${validation.error}`);
+    }
+  }
+  return result;
+}
+
+// Parsed policy JSON -> { policy, errors }; invalid entries are dropped, valid ones still apply
+function normalizePolicy(raw) {
+  const policy = emptyPolicy();
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { policy, errors: ['the policy must be a JSON object'] };
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!['settings', 'defaults', 'locked', 'allowedDomains', ...POLICY_FLAGS].includes(key)) {
+      errors.push(`unknown policy "${key}"`);
+    }
+  }
+
+  policy.settings = normalizeSettingValues('settings', raw.settings, errors);
+  policy.defaults = normalizeSettingValues('defaults', raw.defaults, errors);
+
+  if (raw.locked !== undefined) {
+    if (Array.isArray(raw.locked)) {
+      for (const key of raw.locked) {
+        if (isManageable(key)) {
+          policy.locked.push(key);
+        } else {
+          errors.push(`locked: "${key}" is not a setting a policy can manage`);
+        }
+      }
+    } else {
+      errors.push('locked must be a list of setting names');
+    }
+  }
+
+  if (raw.allowedDomains !== undefined) {
+    const domains = Array.isArray(raw.allowedDomains) ? raw.allowedDomains.map(normalizeDomain) : [];
+    if (domains.length === 0 || domains.includes(null)) {
+      errors.push('allowedDomains must be a non-empty list of host names');
+    } else {
+      policy.allowedDomains = [...new Set(domains)];
+    }
+  }
+
+  for (const flag of POLICY_FLAGS) {
+    if (raw[flag] !== undefined) {
+      if (typeof raw[flag] === 'boolean') {
+        policy[flag] = raw[flag];
+      } else {
+        errors.push(`${flag} must be true or false`);
+      }
+    }
+  }
+  return { policy, errors };
+}
+
+// Returns { policy, errors, found, failed }; a missing file means no policy, and a file that
+// cannot be read or parsed (failed) gives the locked-down policy instead of none
+function loadPolicy(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { policy: emptyPolicy(), errors: [], found: false, failed: false };
+    }
+    return { policy: lockedPolicy(), errors: [`cannot read ${filePath}: ${error.message}`], found: true, failed: true };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    return { policy: lockedPolicy(), errors: [`${filePath} is not valid JSON: ${error.message}`], found: true, failed: true };
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { policy: lockedPolicy(), errors: [`${filePath} must hold a JSON object`], found: true, failed: true };
+  }
+  return { ...normalizePolicy(raw), found: true, failed: false };
+}
+
+function isSettingLocked(policy, key) {
+  return Object.prototype.hasOwnProperty.call(policy.settings, key) || policy.locked.includes(key);
+}
+
+module.exports = {
+  emptyPolicy,
+  lockedPolicy,
+  defaultPolicyPath,
+  normalizePolicy,
+  loadPolicy,
+  isSettingLocked
+};
@@ -0,0 +1,66 @@
+// Prompt library templates with {{placeholder}} variables
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+const defaultTemplates = [
+  {
+    id: 'review',
+    name: 'Code Review',
+    body: 'Review the following {{language}} code. Point out bugs, security issues and readability problems, most important first:\n\n{{code}}'
+  },
+  {
+    id: 'summarize',
+    name: 'Summarize',
+    body: 'Summarize the following text in {{length}} bullet points:\n\n{{text}}'
+  },
+  {
+    id: 'translate',
+    name: 'Translate',
+    body: 'Translate the following text into {{language}}. Keep the formatting:\n\n{{text}}'
+  }
+];
+
+// Placeholder names in order of first appearance
+function extractPlaceholders(body) {
+  const names = [];
+  for (const match of body.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+// Substitute values; placeholders without a value are left as-is
+function fillTemplate(body, values = {}) {
+  return body.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : placeholder
+  );
+}
+
+// Markdown block quote of a selection, followed by an empty line for the question
+function quoteText(text) {
+  const lines = String(text).trim().replace(/\r\n?/g, '\n').split('\n');
+  return `${lines.map(line => line.trim() ? `> ${line}` : '>').join('\n')}\n\n`;
+}
+
+// Keep only well-formed templates (settings may come from an older or edited file)
+function normalizeTemplates(templates) {
+  if (!Array.isArray(templates)) {
+    return structuredClone(defaultTemplates);
+  }
+  return templates.filter(template =>
+    template &&
+    typeof template.id === 'string' &&
+    typeof template.name === 'string' && template.name.trim() &&
+    typeof template.body === 'string'
+  );
+}
+
+module.exports = {
+  defaultTemplates,
+  extractPlaceholders,
+  fillTemplate,
+  quoteText,
+  normalizeTemplates
+};
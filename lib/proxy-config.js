@@ -0,0 +1,107 @@
+// Per-profile proxy settings: validation and conversion to session.setProxy() configs
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// system: OS settings, direct: no proxy, http/https/socks5: one proxy server, pac: auto-config script
+const PROXY_MODES = ['system', 'direct', 'http', 'https', 'socks5', 'pac'];
+
+const SERVER_PATTERN = /^(\[[0-9a-f:.]+\]|[a-z0-9.-]+):(\d{1,5})$/i;
+const BYPASS_ENTRY_PATTERN = /^[\w.*:\-[\]<>/]+$/;
+
+function parseServer(text) {
+  const match = SERVER_PATTERN.exec(text);
+  if (!match) {
+    return null;
+  }
+  const port = Number(match[2]);
+  return port >= 1 && port <= 65535 ? `${match[1].toLowerCase()}:${port}` : null;
+}
+
+// "localhost, *.corp.example\n10.0.0.0/8" -> ['localhost', '*.corp.example', '10.0.0.0/8']
+function parseBypassList(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+  return entries.map(entry => String(entry).trim()).filter(Boolean);
+}
+
+// Returns { valid, value } or { valid: false, error }
+function normalizeProxyConfig(input) {
+  const config = input && typeof input === 'object' ? input : {};
+  const mode = config.mode || 'system';
+  if (!PROXY_MODES.includes(mode)) {
+    return { valid: false, error: `Unknown proxy mode "${mode}"` };
+  }
+
+  if (mode === 'system' || mode === 'direct') {
+    return { valid: true, value: { mode } };
+  }
+
+  if (mode === 'pac') {
+    const pacUrl = String(config.pacUrl || '').trim();
+    if (!/^https?:\/\/\S+$/i.test(pacUrl) && !/^file:\/\/\S+$/i.test(pacUrl) && !path.isAbsolute(pacUrl)) {
+      return { valid: false, error: 'Enter the PAC script URL (http, https or file) or choose a PAC file' };
+    }
+    return { valid: true, value: { mode, pacUrl } };
+  }
+
+  const server = parseServer(String(config.server || '').trim());
+  if (!server) {
+    return { valid: false, error: 'Enter the proxy server as host:port, for example proxy.example.com:8080' };
+  }
+  const bypass = parseBypassList(config.bypass);
+  const invalid = bypass.find(entry => !BYPASS_ENTRY_PATTERN.test(entry));
+  if (invalid) {
+    return { valid: false, error: `"${invalid}" is not a valid bypass entry` };
+  }
+  return { valid: true, value: { mode, server, bypass } };
+}
+
+function isValidProxyConfig(value) {
+  return normalizeProxyConfig(value).valid;
+}
+
+// Config for session.setProxy()
+function toSessionProxyConfig(config = { mode: 'system' }) {
+  switch (config.mode) {
+    case 'direct':
+      return { mode: 'direct' };
+    case 'pac':
+      return {
+        mode: 'pac_script',
+        pacScript: path.isAbsolute(config.pacUrl) ? pathToFileURL(config.pacUrl).href : config.pacUrl
+      };
+    case 'http':
+    case 'https':
+    case 'socks5':
+      return {
+        mode: 'fixed_servers',
+        proxyRules: `${config.mode}://${config.server}`,
+        proxyBypassRules: config.bypass.join(',')
+      };
+    default:
+      return { mode: 'system' };
+  }
+}
+
+function describeProxyConfig(config = { mode: 'system' }) {
+  switch (config.mode) {
+    case 'direct':
+      return 'No proxy';
+    case 'pac':
+      return `PAC script ${config.pacUrl}`;
+    case 'http':
+    case 'https':
+    case 'socks5':
+      return `${config.mode === 'socks5' ? 'SOCKS5' : config.mode.toUpperCase()} proxy ${config.server}`;
+    default:
+      return 'System proxy settings';
+  }
+}
+
+module.exports = {
+  PROXY_MODES,
+  normalizeProxyConfig,
+  isValidProxyConfig,
+  toSessionProxyConfig,
+  describeProxyConfig
+};
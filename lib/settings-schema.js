@@ -0,0 +1,306 @@
+// Settings schema, validation and versioned migrations
+// Defaults live with defaultSettings in main.js; this module only knows types and ranges
+
+const path = require('path');
+const { isValidWindowState } = require('./window-state');
+const { isValidPin } = require('./tls-policy');
+const { isValidProxyConfig } = require('./proxy-config');
+const { LOG_LEVELS } = require('./logger');
+const { isAllowedUpdateUrl, parseVersion } = require('./updates');
+
+// Bump when the stored format changes and add a step to `migrations`
+const SETTINGS_VERSION = 1;
+
+// Electron accelerator: one or more modifiers and a key ('' disables the shortcut)
+const ACCELERATOR_PATTERN = /^((CommandOrControl|CmdOrCtrl|Command|Cmd|Control|Ctrl|Alt|Option|AltGr|Shift|Super|Meta)\+)+([A-Za-z0-9]|F[1-9]|F1[0-9]|F2[0-4]|Plus|Space|Tab|Backspace|Delete|Insert|Return|Enter|Up|Down|Left|Right|Home|End|PageUp|PageDown|Escape|Esc|[-=[\];',./`\\])$/;
+
+function isChatUrlList(urls) {
+  return Array.isArray(urls) && urls.every(url => typeof url === 'string' && url.startsWith('https://gemini.google.com/'));
+}
+
+function isProfileList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(profile =>
+    profile && typeof profile.id === 'string' && /^[\w-]{1,64}$/.test(profile.id) &&
+    typeof profile.name === 'string' && profile.name.length > 0 &&
+    (profile.neverArchive === undefined || typeof profile.neverArchive === 'boolean') &&
+    (profile.allowedDomains === undefined ||
+      (Array.isArray(profile.allowedDomains) && profile.allowedDomains.every(domain => typeof domain === 'string'))) &&
+    (profile.proxy === undefined || isValidProxyConfig(profile.proxy)) &&
+    (profile.openChats === undefined || isChatUrlList(profile.openChats))
+  );
+}
+
+// type: boolean | integer | string | choice | accelerator | array | object
+// Entries with a label and section are editable in the Preferences window
+const settingsSchema = {
+  startAtLogin: {
+    type: 'boolean',
+    section: 'Startup',
+    label: 'Start when I sign in to my computer'
+  },
+  startMinimized: {
+    type: 'boolean',
+    section: 'Startup',
+    label: 'Start minimized to the tray'
+  },
+  minimizeToTray: {
+    type: 'boolean',
+    section: 'Window',
+    label: 'Minimize and close to the tray'
+  },
+  quickAskShortcut: {
+    type: 'accelerator',
+    section: 'Quick Ask',
+    label: 'Global shortcut',
+    description: 'Opens the Quick Ask popup from anywhere. Leave empty to disable.'
+  },
+  archiveEnabled: {
+    type: 'boolean',
+    section: 'Archive',
+    label: 'Archive conversations I view (requires system encryption)'
+  },
+  archiveMaxSizeMB: {
+    type: 'integer',
+    min: 1,
+    max: 1024,
+    section: 'Archive',
+    label: 'Archive size limit per profile (MB)'
+  },
+  trackerBlockingEnabled: {
+    type: 'boolean',
+    section: 'Privacy',
+    label: 'Block trackers using the filter lists in View > Tracker Blocking'
+  },
+  disabledFilterLists: {
+    type: 'array',
+    validate: (ids) => ids.every(id => typeof id === 'string')
+  },
+  tlsPinningEnabled: {
+    type: 'boolean',
+    section: 'Privacy',
+    label: 'Require pinned certificates for Google hosts (pins are managed in View > Certificates)'
+  },
+  tlsPins: {
+    type: 'array',
+    validate: (pins) => pins.every(isValidPin)
+  },
+  trustedCaBundlePath: {
+    type: 'string',
+    maxLength: 4096
+  },
+  completionNotifications: {
+    type: 'boolean',
+    section: 'Notifications',
+    label: 'Notify me when an answer finishes while the window is in the background'
+  },
+  downloadDirectory: {
+    type: 'string',
+    maxLength: 4096,
+    validate: (value) => value === '' || path.isAbsolute(value),
+    section: 'Downloads',
+    label: 'Download folder',
+    description: 'A full path. Leave empty to use the system Downloads folder.'
+  },
+  askWhereToSave: {
+    type: 'boolean',
+    section: 'Downloads',
+    label: 'Ask where to save each download'
+  },
+  customizationsEnabled: {
+    type: 'boolean',
+    section: 'Customizations',
+    label: 'Apply my stylesheets and scripts to the Gemini page',
+    description: 'Switch single files on or off in View > Customizations.'
+  },
+  disabledCustomizations: {
+    type: 'array',
+    validate: (names) => names.every(name => typeof name === 'string')
+  },
+  spellcheckLanguages: {
+    type: 'array',
+    validate: (languages) => languages.length <= 20 &&
+      languages.every(language => typeof language === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(language))
+  },
+  appLockIdleMinutes: {
+    type: 'integer',
+    min: 0,
+    max: 1440,
+    section: 'App Lock',
+    label: 'Lock after this many idle minutes (0 = never)',
+    description: 'Set the passphrase in File > App Lock.'
+  },
+  appLockOnRestore: {
+    type: 'boolean',
+    section: 'App Lock',
+    label: 'Lock when a window is restored from the tray'
+  },
+  logLevel: {
+    type: 'choice',
+    choices: LOG_LEVELS,
+    section: 'Diagnostics',
+    label: 'Log level',
+    description: 'How much is written to the log files. Use Help > Export Diagnostics to send them with a bug report.'
+  },
+  updateChecksEnabled: {
+    type: 'boolean',
+    section: 'Updates',
+    label: 'Check for updates automatically'
+  },
+  updateManifestUrl: {
+    type: 'string',
+    maxLength: 2048,
+    validate: (value) => value === '' || isAllowedUpdateUrl(value),
+    section: 'Updates',
+    label: 'Release manifest URL',
+    description: 'HTTPS, or HTTP on localhost for a local test server. Leave empty to turn update checks off.'
+  },
+  skippedUpdateVersion: {
+    type: 'string',
+    maxLength: 32,
+    validate: (value) => value === '' || parseVersion(value) !== null
+  },
+  profiles: {
+    type: 'array',
+    validate: isProfileList
+  },
+  activeProfile: {
+    type: 'string',
+    maxLength: 64
+  },
+  promptTemplates: {
+    type: 'array'
+  },
+  windowState: {
+    type: 'object',
+    validate: isValidWindowState
+  },
+  openChats: {
+    type: 'array',
+    validate: isChatUrlList
+  }
+};
+
+// Returns { valid, value } or { valid: false, error }
+function validateSetting(key, value) {
+  const schema = settingsSchema[key];
+  if (!schema) {
+    return { valid: false, error: 'unknown setting' };
+  }
+
+  switch (schema.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return { valid: false, error: 'must be true or false' };
+      }
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return { valid: false, error: 'must be a whole number' };
+      }
+      if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+        return { valid: false, error: `must be between ${schema.min} and ${schema.max}` };
+      }
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        return { valid: false, error: 'must be text' };
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return { valid: false, error: `must be at most ${schema.maxLength} characters` };
+      }
+      break;
+    case 'choice':
+      if (!schema.choices.includes(value)) {
+        return { valid: false, error: `must be one of ${schema.choices.join(', ')}` };
+      }
+      break;
+    case 'accelerator':
+      if (typeof value !== 'string' || (value !== '' && !ACCELERATOR_PATTERN.test(value))) {
+        return { valid: false, error: 'must be a key combination with at least one modifier, e.g. Ctrl+Shift+Space' };
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        return { valid: false, error: 'must be a list' };
+      }
+      break;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { valid: false, error: 'must be an object' };
+      }
+      break;
+    default:
+      return { valid: false, error: `unsupported type ${schema.type}` };
+  }
+
+  if (schema.validate && !schema.validate(value)) {
+    return { valid: false, error: 'is malformed' };
+  }
+  return { valid: true, value };
+}
+
+// Start from the defaults and keep only valid stored values; returns { settings, errors }
+function validateSettings(raw, defaults) {
+  const settings = structuredClone(defaults);
+  const errors = [];
+
+  for (const [key, value] of Object.entries(raw || {})) {
+    if (key === 'settingsVersion') {
+      continue;
+    }
+    const result = validateSetting(key, value);
+    if (result.valid) {
+      settings[key] = result.value;
+    } else {
+      errors.push(`${key} ${result.error}`);
+    }
+  }
+
+  settings.settingsVersion = SETTINGS_VERSION;
+  return { settings, errors };
+}
+
+// migrations[n] upgrades settings from version n to n + 1
+const migrations = {
+  // Files written before settings were versioned
+  0: (settings) => {
+    if (settings.quickAskShortcut === null) {
+      settings.quickAskShortcut = '';
+    }
+    if (Array.isArray(settings.profiles)) {
+      settings.profiles = settings.profiles.map(profile =>
+        profile && typeof profile === 'object' && !profile.name ? { ...profile, name: String(profile.id) } : profile
+      );
+    }
+    return settings;
+  }
+};
+
+// Returns { settings, from, to }; settings from a newer version are left for validation to trim
+function migrateSettings(raw) {
+  let settings = { ...raw };
+  const from = Number.isInteger(settings.settingsVersion) ? settings.settingsVersion : 0;
+
+  for (let version = from; version < SETTINGS_VERSION; version++) {
+    settings = migrations[version](settings);
+    settings.settingsVersion = version + 1;
+  }
+  return { settings, from, to: Math.max(from, SETTINGS_VERSION) };
+}
+
+// Serializable description of the editable settings for the Preferences window
+function describeEditableSettings() {
+  return Object.entries(settingsSchema)
+    .filter(([, schema]) => schema.label && schema.section)
+    .map(([key, { type, section, label, description, min, max, choices }]) =>
+      ({ key, type, section, label, description, min, max, choices }));
+}
+
+module.exports = {
+  SETTINGS_VERSION,
+  settingsSchema,
+  validateSetting,
+  validateSettings,
+  migrateSettings,
+  describeEditableSettings
+};
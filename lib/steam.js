@@ -0,0 +1,243 @@
+// Steam library integration: finds local Steam accounts and edits their non-Steam shortcuts (shortcuts.vdf)
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { readBinaryVdf, writeBinaryVdf } = require('./vdf');
+
+// Library images in userdata/<account>/config/grid, named <app id><suffix>.png; iconSize 0 = background only
+const GRID_ARTWORK = [
+  { suffix: 'p', width: 600, height: 900, iconSize: 384 },    // Portrait capsule (library grid)
+  { suffix: '', width: 920, height: 430, iconSize: 256 },     // Wide capsule (recent games)
+  { suffix: '_hero', width: 1920, height: 620, iconSize: 0 }  // Header behind the logo on the game page
+];
+const ARTWORK_BACKGROUND = [0x1e, 0x1f, 0x20];  // Gemini's dark page background
+
+const quote = (value) => `"${value}"`;
+const unquote = (value) => (typeof value === 'string' ? value.replace(/^"(.*)"$/, '$1') : '');
+
+// Older Steam versions wrote lower-case field names ("appname", "exe")
+function getField(entry, name) {
+  const key = Object.keys(entry).find(item => item.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : entry[key];
+}
+
+function setField(entry, name, value) {
+  if (Object.hasOwn(entry, name)) {
+    entry[name] = value;
+    return;
+  }
+  for (const key of Object.keys(entry)) {
+    if (key.toLowerCase() === name.toLowerCase()) {
+      delete entry[key];
+    }
+  }
+  entry[name] = value;
+}
+
+// Steam folders to look in; the Windows registry path is not read, so only default install locations are found
+function steamRootCandidates(platform, homeDir, env = {}) {
+  if (platform === 'win32') {
+    return [env['ProgramFiles(x86)'], env.ProgramFiles]
+      .filter(Boolean)
+      .map(dir => path.join(dir, 'Steam'));
+  }
+  if (platform === 'darwin') {
+    return [path.join(homeDir, 'Library', 'Application Support', 'Steam')];
+  }
+  return [
+    path.join(homeDir, '.steam', 'steam'),
+    path.join(homeDir, '.local', 'share', 'Steam'),
+    path.join(homeDir, '.var', 'app', 'com.valvesoftware.Steam', '.local', 'share', 'Steam')  // Flatpak
+  ];
+}
+
+function readPersonaName(configDir) {
+  try {
+    const match = /"PersonaName"\s+"((?:[^"\\]|\\.)*)"/.exec(fs.readFileSync(path.join(configDir, 'localconfig.vdf'), 'utf8'));
+    return match ? match[1].replace(/\\(.)/g, '$1') : null;
+  } catch {
+    return null;
+  }
+}
+
+// Accounts that have signed in to Steam here: [{ id, name, configDir, shortcutsPath, gridDir }]
+function findSteamUsers(roots) {
+  const users = [];
+  const seenRoots = new Set();
+  for (const root of roots) {
+    let realRoot;
+    let ids;
+    try {
+      realRoot = fs.realpathSync(root);
+      ids = fs.readdirSync(path.join(realRoot, 'userdata'));
+    } catch {
+      continue;
+    }
+    if (seenRoots.has(realRoot)) {
+      continue;
+    }
+    seenRoots.add(realRoot);
+
+    // Account 0 is the anonymous user Steam uses before anyone signs in
+    for (const id of ids.filter(item => /^\d+$/.test(item) && item !== '0')) {
+      const configDir = path.join(realRoot, 'userdata', id, 'config');
+      if (!fs.existsSync(configDir)) {
+        continue;
+      }
+      users.push({
+        id,
+        name: readPersonaName(configDir) || `Steam account ${id}`,
+        configDir,
+        shortcutsPath: path.join(configDir, 'shortcuts.vdf'),
+        gridDir: path.join(configDir, 'grid')
+      });
+    }
+  }
+  return users;
+}
+
+// The id Steam gives a non-Steam shortcut, which also names its artwork in the grid folder
+function shortcutAppId(exe, appName) {
+  return (zlib.crc32(quote(exe) + appName) | 0x80000000) >>> 0;
+}
+
+// Stored ids are signed int32s; entries from before Steam stored them get the computed one
+function entryAppId(entry) {
+  const stored = getField(entry, 'appid');
+  return typeof stored === 'number' && stored !== 0
+    ? stored >>> 0
+    : shortcutAppId(unquote(getField(entry, 'Exe')), getField(entry, 'AppName') || '');
+}
+
+// Returns { valid, value } with the parsed file, or { valid: false, error }; a missing file is an empty list
+function loadShortcuts(filePath) {
+  let buffer;
+  try {
+    buffer = fs.readFileSync(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { valid: true, value: { shortcuts: {} } };
+    }
+    return { valid: false, error: error.message };
+  }
+
+  const result = readBinaryVdf(buffer);
+  if (!result.valid) {
+    return result;
+  }
+  const shortcuts = result.value.shortcuts;
+  if (!shortcuts || typeof shortcuts !== 'object') {
+    return { valid: false, error: 'the file has no shortcuts list' };
+  }
+  return result;
+}
+
+// Key of the shortcut that launches exe or carries appName, or null
+function findShortcut(root, exe, appName) {
+  const key = Object.keys(root.shortcuts).find(item => {
+    const entry = root.shortcuts[item];
+    return entry && typeof entry === 'object' &&
+      (unquote(getField(entry, 'Exe')) === exe || getField(entry, 'AppName') === appName);
+  });
+  return key === undefined ? null : key;
+}
+
+// Add a shortcut, or point the one at existingKey at this app (keeping its play time, tags and visibility)
+function setShortcut(root, existingKey, { appId, appName, exe, startDir, launchOptions = '', icon = '' }) {
+  const fields = {
+    appid: appId | 0,
+    AppName: appName,
+    Exe: quote(exe),
+    StartDir: quote(startDir),
+    icon,
+    LaunchOptions: launchOptions
+  };
+
+  if (existingKey !== null && root.shortcuts[existingKey]) {
+    const entry = root.shortcuts[existingKey];
+    for (const [name, value] of Object.entries(fields)) {
+      setField(entry, name, value);
+    }
+    return existingKey;
+  }
+
+  const key = String(Object.keys(root.shortcuts)
+    .filter(item => /^\d+$/.test(item))
+    .reduce((next, item) => Math.max(next, Number(item) + 1), 0));
+  root.shortcuts[key] = {
+    ...fields,
+    ShortcutPath: '',
+    IsHidden: 0,
+    AllowDesktopConfig: 1,
+    AllowOverlay: 1,
+    OpenVR: 0,
+    Devkit: 0,
+    DevkitGameID: '',
+    DevkitOverrideAppID: 0,
+    LastPlayTime: 0,
+    FlatpakAppID: '',
+    tags: {}
+  };
+  return key;
+}
+
+// Copy the current file to <file>.<stamp>.bak, then replace it; returns the backup path (null for a new file)
+function saveShortcuts(filePath, root, stamp) {
+  const data = writeBinaryVdf(root);
+  let backupPath = null;
+  if (fs.existsSync(filePath)) {
+    backupPath = `${filePath}.${stamp}.bak`;
+    fs.copyFileSync(filePath, backupPath);
+  }
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, filePath);
+  return backupPath;
+}
+
+// Center an icon on a solid background. Bitmaps are premultiplied BGRA as from nativeImage.toBitmap();
+// icon ({ width, height, data }) may be null and must fit the canvas.
+function composeArtwork(icon, width, height, background = ARTWORK_BACKGROUND) {
+  const [red, green, blue] = background;
+  const canvas = Buffer.alloc(width * height * 4);
+  for (let index = 0; index < canvas.length; index += 4) {
+    canvas[index] = blue;
+    canvas[index + 1] = green;
+    canvas[index + 2] = red;
+    canvas[index + 3] = 255;
+  }
+  if (!icon) {
+    return canvas;
+  }
+
+  const left = Math.floor((width - icon.width) / 2);
+  const top = Math.floor((height - icon.height) / 2);
+  for (let y = 0; y < icon.height; y++) {
+    for (let x = 0; x < icon.width; x++) {
+      const source = (y * icon.width + x) * 4;
+      const alpha = icon.data[source + 3];
+      if (alpha === 0) {
+        continue;
+      }
+      const target = ((top + y) * width + left + x) * 4;
+      for (let channel = 0; channel < 3; channel++) {
+        canvas[target + channel] = Math.min(255, icon.data[source + channel] + Math.round(canvas[target + channel] * (255 - alpha) / 255));
+      }
+    }
+  }
+  return canvas;
+}
+
+module.exports = {
+  GRID_ARTWORK,
+  steamRootCandidates,
+  findSteamUsers,
+  shortcutAppId,
+  entryAppId,
+  loadShortcuts,
+  findShortcut,
+  setShortcut,
+  saveShortcuts,
+  composeArtwork
+};
@@ -0,0 +1,135 @@
+// TLS policy helpers: SPKI pinning, a user-supplied trusted CA bundle and the certificate audit log
+
+const crypto = require('crypto');
+
+// Hosts the optional SPKI pins apply to (subdomains included)
+const PINNABLE_DOMAINS = [
+  'google.com',
+  'googleapis.com',
+  'gstatic.com',
+  'googleusercontent.com'
+];
+
+// Base64 SHA-256 of a DER SubjectPublicKeyInfo, as used by HPKP-style pins
+const PIN_PATTERN = /^[A-Za-z0-9+/]{43}=$/;
+
+function isPinnableHost(hostname) {
+  return PINNABLE_DOMAINS.some(domain => hostname === domain || hostname.endsWith('.' + domain));
+}
+
+function isValidPin(pin) {
+  return typeof pin === 'string' && PIN_PATTERN.test(pin);
+}
+
+// Electron Certificate (leaf with nested issuerCert) -> PEM strings, leaf first
+function certificateChain(certificate) {
+  const chain = [];
+  for (let cert = certificate; cert && cert.data && chain.length < 10; cert = cert.issuerCert) {
+    chain.push(cert.data);
+    if (cert.issuerCert && cert.issuerCert.fingerprint === cert.fingerprint) {
+      break;  // Self-signed root points at itself
+    }
+  }
+  return chain;
+}
+
+function spkiHash(pem) {
+  const spki = crypto.createPublicKey(pem).export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(spki).digest('base64');
+}
+
+// True when any certificate in the chain has a pinned public key
+function matchesPins(chain, pins) {
+  return chain.some(pem => {
+    try {
+      return pins.includes(spkiHash(pem));
+    } catch {
+      return false;
+    }
+  });
+}
+
+// PEM bundle text -> X509Certificate[] (only CA certificates are kept)
+function parseCaBundle(text) {
+  const blocks = text.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+  return blocks
+    .map(block => new crypto.X509Certificate(block))
+    .filter(cert => cert.ca);
+}
+
+function isCurrent(cert, now) {
+  return new Date(cert.validFrom) <= now && now <= new Date(cert.validTo);
+}
+
+function isIssuedBy(cert, issuer) {
+  return cert.checkIssued(issuer) && cert.verify(issuer.publicKey);
+}
+
+// Does the chain lead to a CA in the bundle? Returns { trusted, reason }
+function verifyWithCaBundle(chain, hostname, bundle, now = new Date()) {
+  if (chain.length === 0 || bundle.length === 0) {
+    return { trusted: false, reason: 'no certificate or CA bundle' };
+  }
+
+  const certs = chain.map(pem => new crypto.X509Certificate(pem));
+  if (!certs[0].checkHost(hostname)) {
+    return { trusted: false, reason: `certificate is not valid for ${hostname}` };
+  }
+
+  for (let i = 0; i < certs.length; i++) {
+    const cert = certs[i];
+    if (!isCurrent(cert, now)) {
+      return { trusted: false, reason: `${cert.subject.split('\n').join(', ')} is expired or not yet valid` };
+    }
+    const anchor = bundle.find(ca => ca.fingerprint256 === cert.fingerprint256 || isIssuedBy(cert, ca));
+    if (anchor) {
+      return isCurrent(anchor, now)
+        ? { trusted: true, reason: `issued by trusted CA ${anchor.subject.split('\n').join(', ')}` }
+        : { trusted: false, reason: 'trusted CA certificate is expired' };
+    }
+    const issuer = certs[i + 1];
+    if (!issuer || !issuer.ca || !isIssuedBy(cert, issuer)) {
+      break;
+    }
+  }
+  return { trusted: false, reason: 'chain does not lead to a CA in the trusted bundle' };
+}
+
+// Most recent certificate failures, newest first; repeats of the same host, error and
+// certificate are merged into one entry with a count
+function createAuditLog(capacity, initialEntries = []) {
+  let entries = initialEntries.slice(0, capacity);
+
+  return {
+    // Returns true when the failure was not in the log yet
+    record(entry) {
+      const index = entries.findIndex(existing =>
+        existing.host === entry.host && existing.error === entry.error && existing.fingerprint === entry.fingerprint
+      );
+      const previous = index === -1 ? null : entries.splice(index, 1)[0];
+      entries.unshift({ ...entry, count: previous ? previous.count + 1 : 1, time: Date.now() });
+      entries.length = Math.min(entries.length, capacity);
+      return !previous;
+    },
+
+    entries() {
+      return entries.map(entry => ({ ...entry }));
+    },
+
+    clear() {
+      entries = [];
+    }
+  };
+}
+
+module.exports = {
+  PINNABLE_DOMAINS,
+  isPinnableHost,
+  isValidPin,
+  certificateChain,
+  spkiHash,
+  matchesPins,
+  parseCaBundle,
+  verifyWithCaBundle,
+  createAuditLog
+};
@@ -0,0 +1,29 @@
+// Draws an "unread" dot into the corner of a tray icon bitmap (BGRA, as from nativeImage.toBitmap())
+
+const BADGE_COLOR = { r: 0xd9, g: 0x30, b: 0x25 };
+
+// Returns a new bitmap; the dot covers the bottom-right corner with a soft edge
+function addBadge(bitmap, width, height, color = BADGE_COLOR) {
+  const result = Buffer.from(bitmap);
+  const radius = Math.max(2, Math.round(Math.min(width, height) * 0.3));
+  const centerX = width - radius;
+  const centerY = height - radius;
+
+  for (let y = Math.max(0, centerY - radius - 1); y < height; y++) {
+    for (let x = Math.max(0, centerX - radius - 1); x < width; x++) {
+      const distance = Math.hypot(x + 0.5 - centerX, y + 0.5 - centerY);
+      const coverage = Math.min(1, Math.max(0, radius - distance + 0.5));
+      if (coverage === 0) {
+        continue;
+      }
+      const offset = (y * width + x) * 4;
+      result[offset] = Math.round(color.b * coverage + result[offset] * (1 - coverage));
+      result[offset + 1] = Math.round(color.g * coverage + result[offset + 1] * (1 - coverage));
+      result[offset + 2] = Math.round(color.r * coverage + result[offset + 2] * (1 - coverage));
+      result[offset + 3] = Math.round(255 * coverage + result[offset + 3] * (1 - coverage));
+    }
+  }
+  return result;
+}
+
+module.exports = { addBadge };
@@ -0,0 +1,131 @@
+// Update checks: release manifest validation, date-based version comparison and signature verification
+//
+// Manifest format (served as JSON from the configured URL):
+// {
+//   "version": "2026.02.14.0930",
+//   "notes": "What changed",
+//   "releaseUrl": "https://example.com/releases/2026.02.14",
+//   "assets": {
+//     "win32-x64": { "url": "https://example.com/Gemini-Desktop-Setup.exe", "size": 123456 },
+//     "darwin-arm64": { "url": "...", "signatureUrl": "..." }
+//   }
+// }
+// Each asset has a detached Ed25519 signature at signatureUrl (default: url + ".sig"), as base64 or raw bytes.
+// What is signed is signedUpdatePayload(version, file), so a signature only vouches for the file as that
+// release: an older signed installer cannot be offered under a newer version number.
+
+const crypto = require('crypto');
+
+// Version stamps from `npm run version:stamp`: YYYY.MM.DD.HHMM (month, day and time may be unpadded)
+const VERSION_PATTERN = /^(\d{4})\.(\d{1,2})\.(\d{1,2})(?:\.(\d{1,4}))?$/;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const MAX_NOTES_LENGTH = 2000;
+
+function parseVersion(version) {
+  const match = typeof version === 'string' && VERSION_PATTERN.exec(version.trim());
+  return match ? match.slice(1).map(part => Number(part || 0)) : null;
+}
+
+// < 0, 0 or > 0 like a sort comparator; unparseable versions sort first
+function compareVersions(a, b) {
+  const left = parseVersion(a) || [];
+  const right = parseVersion(b) || [];
+  for (let index = 0; index < 4; index++) {
+    const difference = (left[index] ?? -1) - (right[index] ?? -1);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+// HTTPS anywhere, plain HTTP only on this computer (a local server standing in for the release host)
+function isAllowedUpdateUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || (url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname));
+  } catch {
+    return false;
+  }
+}
+
+// Returns { valid, value } or { valid: false, error }; relative asset URLs resolve against the manifest URL
+function normalizeManifest(raw, manifestUrl) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { valid: false, error: 'The update manifest is not a JSON object.' };
+  }
+  if (!parseVersion(raw.version)) {
+    return { valid: false, error: `The update manifest has an invalid version: ${JSON.stringify(raw.version)}.` };
+  }
+
+  const assets = {};
+  for (const [target, asset] of Object.entries(raw.assets && typeof raw.assets === 'object' ? raw.assets : {})) {
+    if (!asset || typeof asset.url !== 'string') {
+      continue;
+    }
+    try {
+      const url = new URL(asset.url, manifestUrl).href;
+      const signatureUrl = new URL(typeof asset.signatureUrl === 'string' ? asset.signatureUrl : `${url}.sig`, manifestUrl).href;
+      if (isAllowedUpdateUrl(url) && isAllowedUpdateUrl(signatureUrl)) {
+        assets[target] = { url, signatureUrl, size: Number.isInteger(asset.size) && asset.size > 0 ? asset.size : null };
+      }
+    } catch {
+      // Skip assets with malformed URLs
+    }
+  }
+
+  let releaseUrl = null;
+  if (typeof raw.releaseUrl === 'string' && isAllowedUpdateUrl(raw.releaseUrl)) {
+    releaseUrl = new URL(raw.releaseUrl).href;
+  }
+  return {
+    valid: true,
+    value: {
+      version: raw.version.trim(),
+      notes: typeof raw.notes === 'string' ? raw.notes.slice(0, MAX_NOTES_LENGTH) : '',
+      releaseUrl,
+      assets
+    }
+  };
+}
+
+// Asset for this platform, e.g. "linux-x64"
+function selectAsset(manifest, platform, arch) {
+  return manifest.assets[`${platform}-${arch}`] || null;
+}
+
+// A signature file holds either the 64 raw bytes or their base64 text
+function decodeSignature(buffer) {
+  if (buffer.length === 64) {
+    return buffer;
+  }
+  const decoded = Buffer.from(buffer.toString('utf8').trim(), 'base64');
+  return decoded.length === 64 ? decoded : null;
+}
+
+// The signed text: release version and SHA-256 of the file (written by `sign-update.js sign`)
+function signedUpdatePayload(version, data) {
+  const digest = crypto.createHash('sha256').update(data).digest('hex');
+  return Buffer.from(`gemini-desktop-update\n${version}\n${digest}\n`, 'utf8');
+}
+
+// Ed25519 signature of data against the PEM public key bundled with the app
+function verifySignature(data, signature, publicKeyPem) {
+  try {
+    const key = crypto.createPublicKey(publicKeyPem);
+    return key.asymmetricKeyType === 'ed25519' && !!signature && crypto.verify(null, data, key, signature);
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  isAllowedUpdateUrl,
+  normalizeManifest,
+  selectAsset,
+  decodeSignature,
+  signedUpdatePayload,
+  verifySignature
+};
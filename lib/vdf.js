@@ -0,0 +1,124 @@
+// Binary VDF (Valve KeyValues) reader and writer, as used by Steam's userdata/<id>/config/shortcuts.vdf
+//
+// Each field is a type byte, a NUL-terminated name and a value; a map ends with 0x08:
+//   0x00 map, 0x01 NUL-terminated UTF-8 string, 0x02 int32 (little-endian), 0x07 uint64 (little-endian)
+// Maps become plain objects, strings stay strings, int32 values become numbers and uint64 values BigInts.
+
+const TYPE_MAP = 0x00;
+const TYPE_STRING = 0x01;
+const TYPE_INT32 = 0x02;
+const TYPE_UINT64 = 0x07;
+const TYPE_MAP_END = 0x08;
+
+const MAX_DEPTH = 32;
+
+// Returns { valid, value } or { valid: false, error }
+function readBinaryVdf(buffer) {
+  let offset = 0;
+
+  const readCString = () => {
+    const end = buffer.indexOf(0, offset);
+    if (end === -1) {
+      throw new Error(`unterminated string at byte ${offset}`);
+    }
+    const text = buffer.toString('utf8', offset, end);
+    offset = end + 1;
+    return text;
+  };
+
+  const need = (bytes) => {
+    if (offset + bytes > buffer.length) {
+      throw new Error(`unexpected end of file at byte ${offset}`);
+    }
+  };
+
+  const readMap = (depth) => {
+    if (depth > MAX_DEPTH) {
+      throw new Error('maps are nested too deeply');
+    }
+    const map = {};
+    for (;;) {
+      need(1);
+      const type = buffer[offset++];
+      if (type === TYPE_MAP_END) {
+        return map;
+      }
+      const name = readCString();
+      switch (type) {
+        case TYPE_MAP:
+          map[name] = readMap(depth + 1);
+          break;
+        case TYPE_STRING:
+          map[name] = readCString();
+          break;
+        case TYPE_INT32:
+          need(4);
+          map[name] = buffer.readInt32LE(offset);
+          offset += 4;
+          break;
+        case TYPE_UINT64:
+          need(8);
+          map[name] = buffer.readBigUInt64LE(offset);
+          offset += 8;
+          break;
+        default:
+          throw new Error(`unsupported field type 0x${type.toString(16).padStart(2, '0')} at byte ${offset - 1}`);
+      }
+    }
+  };
+
+  try {
+    const value = readMap(0);
+    if (offset !== buffer.length) {
+      return { valid: false, error: `unexpected data after byte ${offset}` };
+    }
+    return { valid: true, value };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+// Serialize an object in the shape readBinaryVdf returns; non-integer numbers and other types are rejected
+function writeBinaryVdf(object) {
+  const parts = [];
+  const cString = (text) => Buffer.from(`${text}\0`, 'utf8');
+
+  const writeMap = (map) => {
+    for (const [name, value] of Object.entries(map)) {
+      if (name.includes('\0')) {
+        throw new TypeError(`VDF names cannot contain NUL: ${JSON.stringify(name)}`);
+      }
+      if (typeof value === 'string') {
+        if (value.includes('\0')) {
+          throw new TypeError(`VDF strings cannot contain NUL (${name})`);
+        }
+        parts.push(Buffer.of(TYPE_STRING), cString(name), cString(value));
+      } else if (typeof value === 'number') {
+        if (!Number.isInteger(value) || value < -0x80000000 || value > 0x7fffffff) {
+          throw new TypeError(`${name} is not a 32-bit integer: ${value}`);
+        }
+        const number = Buffer.alloc(4);
+        number.writeInt32LE(value);
+        parts.push(Buffer.of(TYPE_INT32), cString(name), number);
+      } else if (typeof value === 'bigint') {
+        const number = Buffer.alloc(8);
+        number.writeBigUInt64LE(value);
+        parts.push(Buffer.of(TYPE_UINT64), cString(name), number);
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        parts.push(Buffer.of(TYPE_MAP), cString(name));
+        writeMap(value);
+      } else {
+        throw new TypeError(`${name} has a value that VDF cannot store`);
+      }
+    }
+    parts.push(Buffer.of(TYPE_MAP_END));
+  };
+
+  writeMap(object);
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  readBinaryVdf,
+  writeBinaryVdf
+};
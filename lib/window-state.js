@@ -0,0 +1,78 @@
+// Window geometry persistence helpers: validation and fitting saved bounds onto current displays
+
+// How much of the window must be on a display for saved bounds to be used as-is
+const MIN_VISIBLE_SIZE = 64;
+
+const MIN_ZOOM_FACTOR = 0.25;
+const MAX_ZOOM_FACTOR = 5;
+
+function isRect(rect, withPosition = true) {
+  return rect && typeof rect === 'object' &&
+    Number.isFinite(rect.width) && rect.width > 0 &&
+    Number.isFinite(rect.height) && rect.height > 0 &&
+    (!withPosition || (Number.isFinite(rect.x) && Number.isFinite(rect.y)));
+}
+
+function isValidWindowState(state) {
+  return !!state && typeof state === 'object' &&
+    (state.bounds === undefined || isRect(state.bounds)) &&
+    (state.isMaximized === undefined || typeof state.isMaximized === 'boolean') &&
+    (state.isFullScreen === undefined || typeof state.isFullScreen === 'boolean') &&
+    (state.zoomFactor === undefined ||
+      (Number.isFinite(state.zoomFactor) && state.zoomFactor >= MIN_ZOOM_FACTOR && state.zoomFactor <= MAX_ZOOM_FACTOR)) &&
+    (state.displayId === undefined || Number.isFinite(state.displayId));
+}
+
+function intersection(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return { width: Math.max(0, width), height: Math.max(0, height) };
+}
+
+// Place bounds on the current displays.
+// displays: [{ id, workArea }] with the primary display first.
+// Bounds that are still visible keep their position; otherwise the window is centered on the
+// display it was last on (or the primary display) and shrunk to fit its work area.
+function fitBoundsToDisplays(bounds, displays, { preferredDisplayId, minWidth = 0, minHeight = 0 } = {}) {
+  if (!isRect(bounds, false) || displays.length === 0) {
+    return bounds;
+  }
+
+  const fitSize = (workArea) => ({
+    width: Math.round(Math.max(Math.min(minWidth, workArea.width), Math.min(bounds.width, workArea.width))),
+    height: Math.round(Math.max(Math.min(minHeight, workArea.height), Math.min(bounds.height, workArea.height)))
+  });
+
+  if (isRect(bounds)) {
+    const visibleOn = displays.find(display => {
+      const overlap = intersection(bounds, display.workArea);
+      return overlap.width >= MIN_VISIBLE_SIZE && overlap.height >= MIN_VISIBLE_SIZE;
+    });
+    if (visibleOn) {
+      const { workArea } = visibleOn;
+      const size = fitSize(workArea);
+      // Keep the title bar reachable
+      return {
+        x: Math.round(Math.min(Math.max(bounds.x, workArea.x - size.width + MIN_VISIBLE_SIZE), workArea.x + workArea.width - MIN_VISIBLE_SIZE)),
+        y: Math.round(Math.min(Math.max(bounds.y, workArea.y), workArea.y + workArea.height - MIN_VISIBLE_SIZE)),
+        ...size
+      };
+    }
+  }
+
+  const target = displays.find(display => display.id === preferredDisplayId) || displays[0];
+  const { workArea } = target;
+  const size = fitSize(workArea);
+  return {
+    x: Math.round(workArea.x + (workArea.width - size.width) / 2),
+    y: Math.round(workArea.y + (workArea.height - size.height) / 2),
+    ...size
+  };
+}
+
+module.exports = {
+  MIN_ZOOM_FACTOR,
+  MAX_ZOOM_FACTOR,
+  isValidWindowState,
+  fitBoundsToDisplays
+};
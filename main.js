@@ -1,23 +1,222 @@
-const { app, BrowserWindow, shell, Menu, session, safeStorage, Tray, nativeImage } = require('electron');
+const { app, BrowserWindow, shell, Menu, session, safeStorage, Tray, nativeImage, globalShortcut, ipcMain, screen, net, WebContentsView, powerMonitor, Notification, clipboard, crashReporter } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const conversationExport = require('./lib/conversation-export');
+const conversationArchive = require('./lib/conversation-archive');
+const promptTemplates = require('./lib/prompt-templates');
+const settingsSchema = require('./lib/settings-schema');
+const windowState = require('./lib/window-state');
+const { createBlockedRequestLog, normalizeDomain, isHostAllowed } = require('./lib/blocked-request-log');
+const { createFilterEngine } = require('./lib/filter-list');
+const tlsPolicy = require('./lib/tls-policy');
+const proxyConfig = require('./lib/proxy-config');
+const appLock = require('./lib/app-lock');
+const managedPolicy = require('./lib/policy');
+const { addBadge } = require('./lib/tray-badge');
+const downloads = require('./lib/downloads');
+const loadErrors = require('./lib/load-errors');
+const { createLogger } = require('./lib/logger');
+const diagnostics = require('./lib/diagnostics');
+const { createZip } = require('./lib/zip');
+const updates = require('./lib/updates');
+const steam = require('./lib/steam');
 
 // Keep global references
-let mainWindow;
+let mainWindow;  // The most recently focused chat window
+const chatWindows = new Set();
+const initialChatUrls = new WeakMap();  // chat window -> URL it was opened with, until a page commits
 let tray = null;
+let trayIcons = null;  // { normal, unread }
+let quickAskWindow = null;
+let archiveWindow = null;
+let promptsWindow = null;
+let preferencesWindow = null;
+let networkWindow = null;
+let certificatesWindow = null;
+let proxyWindow = null;
+let passphraseWindow = null;
+let downloadsWindow = null;
+let registeredQuickAskShortcut = null;
 let isQuitting = false;
 
+const GEMINI_URL = 'https://gemini.google.com/app';
+const PROTOCOL_SCHEME = 'gemini-desktop';  // Deep links: gemini-desktop://ask?q=..., gemini-desktop://chat/<id>
+
 // Settings file paths
 const settingsPath = path.join(app.getPath('userData'), 'settings.enc');  // Encrypted settings
 const legacySettingsPath = path.join(app.getPath('userData'), 'settings.json');  // Legacy unencrypted
+const archiveDir = path.join(app.getPath('userData'), 'archive');  // One encrypted archive per profile
+const filterListDir = path.join(app.getPath('userData'), 'filter-lists');  // User-supplied tracker filter lists
+const builtinFilterListDir = path.join(__dirname, 'filters');  // Filter lists shipped with the app
+const customizationsDir = path.join(app.getPath('userData'), 'customizations');  // User .css and .js for the Gemini page
+const tlsAuditPath = path.join(app.getPath('userData'), 'tls-audit.enc');  // Certificate failure audit log
+const proxyCredentialsPath = path.join(app.getPath('userData'), 'proxy-credentials.enc');  // profileId -> { username, password }
+const appLockPath = path.join(app.getPath('userData'), 'app-lock.enc');  // Salted hash of the app lock passphrase
+const draftsPath = path.join(app.getPath('userData'), 'drafts.enc');  // Unsent prompt text per profile and chat
+const crashReportDir = path.join(app.getPath('userData'), 'crash-reports');  // JSON summaries of renderer crashes and hangs
+const downloadHistoryPath = path.join(app.getPath('userData'), 'downloads.enc');  // Names and locations of past downloads
+const updateDownloadDir = path.join(app.getPath('userData'), 'updates');  // The last verified installer
+const updatePublicKeyPath = path.join(__dirname, 'assets', 'update-public-key.pem');  // Maintainers' release key (sign-update.js keygen); updates are never installed without it
+const policyPath = managedPolicy.defaultPolicyPath();  // System-wide policy set by administrators
+
+// Minidumps of crashed processes stay on this computer (in app.getPath('crashDumps'))
+crashReporter.start({ uploadToServer: false });
+
+// Log files in logs/ (main.log, then main.1.log, ...); the level follows the logLevel setting once loaded
+const logDir = path.join(app.getPath('userData'), 'logs');
+const log = createLogger({ dir: logDir });
+
+// Managed policy (forced/locked settings, pinned allowlist, disabled features); loaded at startup
+let policy = managedPolicy.emptyPolicy();
 
-// Default settings
+// Shown once the window is up when the policy file exists but could not be used
+let policyLoadWarning = null;
+
+// Default settings (types and ranges are in lib/settings-schema.js)
 const defaultSettings = {
+  settingsVersion: settingsSchema.SETTINGS_VERSION,
   startMinimized: false,
   minimizeToTray: true,
-  startAtLogin: false  // Cross-platform: works on Windows, macOS, and Linux
+  startAtLogin: false,  // Cross-platform: works on Windows, macOS, and Linux
+  quickAskShortcut: 'CommandOrControl+Shift+Space',  // Global hotkey for the Quick Ask popup ('' = disabled)
+  profiles: [{ id: 'default', name: 'Default' }],  // Each profile has its own session partition
+  activeProfile: 'default',
+  archiveEnabled: false,  // Snapshot viewed conversations into the local encrypted archive
+  archiveMaxSizeMB: 50,   // Per-profile archive size limit; oldest chats are dropped first
+  promptTemplates: promptTemplates.defaultTemplates,  // Prompt library ({{placeholders}} are filled in on insert)
+  windowState: {},  // Last bounds, maximized/fullscreen state, zoom factor and display of the main window
+  openChats: [],    // URLs of the chat windows open at the last change, reopened on launch
+  trackerBlockingEnabled: true,  // Block requests matched by the enabled filter lists
+  disabledFilterLists: [],       // Ids of filter lists switched off in View > Tracker Blocking
+  tlsPinningEnabled: false,  // Require Google hosts to present a certificate chain matching tlsPins
+  tlsPins: [],               // Base64 SHA-256 SPKI hashes
+  trustedCaBundlePath: '',   // PEM bundle of extra CAs (e.g. a corporate TLS-inspection proxy)
+  appLockIdleMinutes: 0,  // Lock after this many minutes without input (0 = never); needs a passphrase
+  appLockOnRestore: true,  // Lock when a chat window goes to the tray, so restoring it asks for the passphrase
+  completionNotifications: true,  // Notify when an answer finishes in a window that is not in front
+  downloadDirectory: '',  // Where downloads are saved ('' = the system Downloads folder)
+  askWhereToSave: false,  // Show a save dialog for every download
+  spellcheckLanguages: [],  // Spellcheck dictionaries picked from the context menu ([] = the UI language)
+  customizationsEnabled: true,  // Apply the stylesheets and scripts in the customizations folder
+  disabledCustomizations: [],   // File names switched off in View > Customizations
+  logLevel: 'info',  // error, warn, info or debug; see logs/ in the data folder
+  updateChecksEnabled: true,  // Check updateManifestUrl for a newer release every few hours
+  updateManifestUrl: '',      // Release manifest (see lib/updates.js); '' = no update checks
+  skippedUpdateVersion: ''    // Release the user chose to skip; newer ones are offered again
 };
 
+// Offset of each extra chat window from the one it was opened from
+const CHAT_WINDOW_CASCADE = 32;
+
+// Main window size when there is no saved geometry (shrunk to fit small screens like the Steam Deck)
+const DEFAULT_WINDOW_SIZE = { width: 1400, height: 900 };
+const MIN_WINDOW_SIZE = { width: 800, height: 600 };
+
+// Selectable archive size limits (MB)
+const archiveSizeLimits = [10, 25, 50, 100, 250];
+
+// The default profile keeps using session.defaultSession so existing logins survive
+const DEFAULT_PROFILE_ID = 'default';
+
+// Sessions that already have the security hardening applied, and the profile each belongs to
+const configuredSessions = new WeakSet();
+const sessionProfileIds = new WeakMap();
+
+// Domains (and their subdomains) the Gemini page may load from; each profile can edit its own copy
+const DEFAULT_ALLOWED_DOMAINS = [
+  'google.com',
+  'googleapis.com',
+  'gstatic.com',
+  'googleusercontent.com',
+  'google-analytics.com',  // Reachable only with tracker blocking off (see filters/google-trackers.txt)
+  'doubleclick.net',
+  'youtube.com',
+  'ytimg.com',
+  'ggpht.com',
+];
+
+// Blocked requests per profile, shown in View > Network Activity
+const blockedRequestLogs = new Map();  // profileId -> log
+const BLOCKED_REQUEST_LOG_SIZE = 200;
+
+// Tracker blocking: compiled filter lists, what was loaded, and the count shown in the tray tooltip
+let trackerFilter = null;
+let filterLists = [];  // { id, name, rules, skipped, error }
+let blockedTrackerCount = 0;
+const MAX_FILTER_LIST_BYTES = 20 * 1024 * 1024;
+
+// User customizations: loaded stylesheets and scripts, and what was inserted into each page
+let customizations = [];  // { id, type, text, error }
+const customStyleUpdates = new WeakMap();  // webContents -> Promise of the insertCSS keys
+const CUSTOMIZATION_WORLD_ID = 1001;  // Isolated world for user scripts (Electron's own preload world is 999)
+const MAX_CUSTOMIZATION_BYTES = 1024 * 1024;
+
+// TLS policy: extra trusted CAs, the last good chain seen for a Google host (offered for pinning),
+// and the audit log of rejected certificates shown in View > Certificates
+let trustedCaBundle = [];
+let trustedCaBundleError = null;
+let observedPinnableChain = null;
+let tlsAuditLog = null;
+const TLS_AUDIT_LOG_SIZE = 200;
+const reportedCertificateHosts = new Set();  // Hosts the user was already warned about this run
+
+// App lock: the stored passphrase hash, whether we are locked, and the overlay covering each chat window
+let appLockRecord = null;
+let appLocked = false;
+const lockOverlays = new Map();  // chat window -> { view, fit }
+let failedUnlockAttempts = 0;
+let nextUnlockAttemptAt = 0;
+let pendingUnlockAction = null;  // Prompt or link that arrived while locked, run once unlocked
+const APP_LOCK_IDLE_CHECK_INTERVAL = 15000;
+const OVERLAY_RESIZE_EVENTS = ['resize', 'maximize', 'unmaximize', 'enter-full-screen', 'leave-full-screen'];
+
+// Chat windows whose page failed to load: { overlay, url, reason, offline, attempts, retryAt, timer, loadFailed }
+const loadFailures = new Map();
+let networkOnline = true;
+const CONNECTIVITY_CHECK_INTERVAL = 5000;
+const ERR_ABORTED = -3;  // Navigation replaced or cancelled, not a failure
+
+// Renderer crash and hang recovery, and the prompt drafts restored afterwards
+const rendererRecoveries = new WeakMap();  // chat window -> { crashes, hangDialog, killedForHang }
+const CRASH_LOOP_PERIOD = 60000;  // This many crashes within the period stop the automatic reloads
+const CRASH_LOOP_LIMIT = 3;
+const MAX_CRASH_REPORTS = 20;
+let promptDrafts = null;  // profileId -> { chatId or 'new' -> { text, savedAt } }, loaded on first use
+const MAX_DRAFT_LENGTH = 100000;
+const MAX_DRAFTS_PER_PROFILE = 50;
+
+// Update checks against the release manifest
+let updateSession = null;  // In-memory session: profile sessions only reach Google hosts
+let updateCheckTimer = null;
+let updateCheckRunning = false;
+let notifiedUpdateVersion = null;
+const UPDATE_CHECK_DELAY = 30000;  // First check after startup
+const UPDATE_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+const UPDATE_FETCH_TIMEOUT = 15000;
+const UPDATE_DOWNLOAD_TIMEOUT = 10 * 60 * 1000;
+const UNSIGNED_BUILD_MESSAGE = 'This build has no release signing key, so updates cannot be verified and are never ' +
+  'installed automatically. Get the new version from the release page instead.';
+
+// Name of the non-Steam shortcut added by Help > Add to Steam
+const STEAM_APP_NAME = 'Gemini Desktop';
+
+// Chat windows with an answer the user has not looked at yet (tray badge and tooltip)
+const unreadChatWindows = new Set();
+const activeNotifications = new Set();  // Referenced so click handlers survive garbage collection
+
+// Downloads: history (newest first) and the items still in progress
+let downloadHistory = null;  // Loaded on first use
+const activeDownloads = new Map();  // id -> { item, window }
+const DOWNLOAD_HISTORY_SIZE = 100;
+
+// Selectable global hotkeys for the Quick Ask popup
+const quickAskShortcutPresets = [
+  'CommandOrControl+Shift+Space',
+  'CommandOrControl+Alt+G',
+  'Alt+Shift+G'
+];
+
 // Secure Storage Module - encrypts/decrypts sensitive data
 const secureStore = {
   // Check if encryption is available
@@ -34,48 +233,63 @@ const secureStore = {
         // Encrypt the data
         const encrypted = safeStorage.encryptString(jsonString);
         fs.writeFileSync(filePath, encrypted);
-        console.log('Data saved with encryption');
+        log.debug('Data saved with encryption');
       } else {
         // Fallback to plain storage (with warning)
-        console.warn('Encryption not available - saving unencrypted');
+        log.warn('Encryption not available - saving unencrypted');
         fs.writeFileSync(filePath + '.json', jsonString);
       }
       return true;
     } catch (error) {
-      console.error('Error saving secure data:', error);
+      log.error('Error saving secure data:', error);
       return false;
     }
   },
 
-  // Load and decrypt data
-  load: (filePath, defaultValue = null) => {
-    try {
-      // Try encrypted file first
-      if (fs.existsSync(filePath)) {
-        const encrypted = fs.readFileSync(filePath);
-        if (safeStorage.isEncryptionAvailable()) {
-          const decrypted = safeStorage.decryptString(encrypted);
-          return JSON.parse(decrypted);
-        }
-      }
-      
-      // Try legacy unencrypted file
-      const legacyPath = filePath.replace('.enc', '.json');
-      if (fs.existsSync(legacyPath)) {
-        const data = fs.readFileSync(legacyPath, 'utf8');
+  // Read and decrypt data; returns null when nothing is stored and throws when
+  // the stored data is corrupted or cannot be decrypted
+  read: (filePath) => {
+    const encryptionAvailable = safeStorage.isEncryptionAvailable();
+
+    // Encrypted file first
+    if (fs.existsSync(filePath) && encryptionAvailable) {
+      const encrypted = fs.readFileSync(filePath);
+      const decrypted = safeStorage.decryptString(encrypted);
+      return JSON.parse(decrypted);
+    }
+
+    // Unencrypted fallback written by save() and legacy unencrypted file
+    const fallbackPaths = [filePath + '.json', filePath.replace('.enc', '.json')];
+    for (const plainPath of fallbackPaths) {
+      if (fs.existsSync(plainPath)) {
+        const data = fs.readFileSync(plainPath, 'utf8');
         const parsed = JSON.parse(data);
         
         // Migrate to encrypted storage if available
-        if (safeStorage.isEncryptionAvailable()) {
-          secureStore.save(filePath, parsed);
-          fs.unlinkSync(legacyPath);  // Remove legacy file
-          console.log('Migrated settings to encrypted storage');
+        if (encryptionAvailable && secureStore.save(filePath, parsed)) {
+          fs.unlinkSync(plainPath);  // Remove unencrypted file
+          log.info('Migrated data to encrypted storage');
         }
         
         return parsed;
       }
+    }
+
+    if (fs.existsSync(filePath)) {
+      throw new Error('Data is encrypted but system encryption is not available');
+    }
+    return null;
+  },
+
+  // Load and decrypt data, falling back to defaultValue on any error
+  load: (filePath, defaultValue = null) => {
+    try {
+      const data = secureStore.read(filePath);
+      if (data !== null) {
+        return data;
+      }
     } catch (error) {
-      console.error('Error loading secure data:', error);
+      log.error('Error loading secure data:', error);
     }
     return defaultValue;
   },
@@ -86,44 +300,165 @@ const secureStore = {
       if (fs.existsSync(filePath)) {
         fs.unlinkSync(filePath);
       }
-      const legacyPath = filePath.replace('.enc', '.json');
-      if (fs.existsSync(legacyPath)) {
-        fs.unlinkSync(legacyPath);
+      for (const plainPath of [filePath + '.json', filePath.replace('.enc', '.json')]) {
+        if (fs.existsSync(plainPath)) {
+          fs.unlinkSync(plainPath);
+        }
       }
       return true;
     } catch (error) {
-      console.error('Error deleting secure data:', error);
+      log.error('Error deleting secure data:', error);
       return false;
     }
   }
 };
 
-// Load settings using secure storage
+// Shown once the window is up when the settings file had to be reset
+let settingsLoadWarning = null;
+
+// Load settings using secure storage, migrating and validating them against the schema
 function loadSettings() {
-  const loaded = secureStore.load(settingsPath, null);
-  if (loaded) {
-    return { ...defaultSettings, ...loaded };
+  let loaded;
+  try {
+    loaded = secureStore.read(settingsPath);
+  } catch (error) {
+    // Keep the unreadable file for inspection and start over from defaults
+    log.error('Settings file is corrupted or could not be decrypted:', error);
+    const backupPath = `${settingsPath}.corrupt-${Date.now()}`;
+    try {
+      fs.renameSync(settingsPath, backupPath);
+    } catch (renameError) {
+      log.error('Could not back up unreadable settings file:', renameError);
+    }
+    settingsLoadWarning = `Your settings could not be read (${error.message}), so the defaults have been restored. ` +
+      `The unreadable file was kept as ${path.basename(backupPath)}.`;
+    return structuredClone(defaultSettings);
+  }
+
+  if (!loaded || typeof loaded !== 'object') {
+    return structuredClone(defaultSettings);
   }
-  return defaultSettings;
+
+  const { settings: migrated, from, to } = settingsSchema.migrateSettings(loaded);
+  const { settings: validated, errors } = settingsSchema.validateSettings(migrated, defaultSettings);
+  if (errors.length > 0) {
+    log.warn(`Ignored invalid settings: ${errors.join('; ')}`);
+  }
+  if (from < to) {
+    log.info(`Migrated settings from version ${from} to ${to}`);
+    secureStore.save(settingsPath, validated);
+  }
+  return validated;
 }
 
-// Save settings using secure storage
+// Save settings using secure storage; values forced by the policy are never written,
+// the file keeps what the user had so removing the policy gives it back
 function saveSettings(settings) {
-  return secureStore.save(settingsPath, settings);
+  return secureStore.save(settingsPath, { ...settings, ...structuredClone(settingsUnderPolicy) });
 }
 
 // Get current settings
 let settings = defaultSettings;
 
+// The saved values of settings the policy forces, from before the policy was applied
+let settingsUnderPolicy = {};
+
+// Lay the policy's forced values over freshly loaded settings
+function applyForcedSettings(loaded) {
+  settingsUnderPolicy = {};
+  for (const key of Object.keys(policy.settings)) {
+    settingsUnderPolicy[key] = loaded[key];
+  }
+  return Object.assign(loaded, structuredClone(policy.settings));
+}
+
+// Runtime side effects of changing a setting
+const settingEffects = {
+  startAtLogin: () => updateAutoLaunch(),
+  startMinimized: () => updateAutoLaunch(),
+  quickAskShortcut: () => registerQuickAskShortcut() ? null : 'The shortcut is already in use by another application.',
+  archiveEnabled: () => syncArchiveState(),
+  trackerBlockingEnabled: () => loadFilterLists(),
+  tlsPinningEnabled: () => resetTlsConnections(),
+  tlsPins: () => resetTlsConnections(),
+  trustedCaBundlePath: () => loadTrustedCaBundle(),
+  downloadDirectory: () => notifyDownloadsWindow(),
+  askWhereToSave: () => notifyDownloadsWindow(),
+  logLevel: () => log.setLevel(settings.logLevel),
+  updateChecksEnabled: () => scheduleUpdateChecks(),
+  updateManifestUrl: () => scheduleUpdateChecks(),
+  customizationsEnabled: () => loadCustomizations(),
+  disabledCustomizations: () => loadCustomizations(),
+  spellcheckLanguages: () => {
+    for (const window of chatWindows) {
+      applySpellcheckLanguages(window.webContents.session);
+    }
+  }
+};
+
+function isManagedSetting(key) {
+  return managedPolicy.isSettingLocked(policy, key);
+}
+
+// Read the policy file, make its defaults ours; forced values are applied after settings load
+function loadManagedPolicy() {
+  const { policy: loaded, errors, found, failed } = managedPolicy.loadPolicy(policyPath);
+  policy = loaded;
+  if (failed) {
+    log.error(`Managed policy at ${policyPath} could not be used (${errors.join('; ')}); locking all managed settings`);
+    policyLoadWarning = `The policy set by your administrator could not be read (${errors.join('; ')}). ` +
+      'Settings your administrator can manage are locked, and Developer Tools, signing out and clearing the cache are turned off, ' +
+      'until the policy file is fixed.';
+    return;
+  }
+  if (found) {
+    log.info(`Applying managed policy from ${policyPath}`);
+  }
+  for (const error of errors) {
+    log.warn(`Managed policy: ${error}`);
+  }
+  Object.assign(defaultSettings, structuredClone(policy.defaults));
+}
+
+// Validate, store and apply one setting; returns { valid, value, warning } or { valid: false, error }
+function updateSetting(key, value) {
+  if (isManagedSetting(key)) {
+    return { valid: false, error: 'is managed by your administrator' };
+  }
+  const result = settingsSchema.validateSetting(key, value);
+  if (!result.valid) {
+    return result;
+  }
+
+  settings[key] = result.value;
+  saveSettings(settings);
+  const warning = settingEffects[key] ? settingEffects[key]() || null : null;
+
+  updateTrayMenu();
+  updateAppMenu();
+  if (preferencesWindow) {
+    preferencesWindow.webContents.send('preferences:changed');
+  }
+  return { ...result, warning };
+}
+
 // Security: Configure secure session settings
-function configureSecureSession() {
-  const ses = session.defaultSession;
+function configureSecureSession(ses = session.defaultSession, profileId = DEFAULT_PROFILE_ID) {
+  if (configuredSessions.has(ses)) {
+    return;
+  }
+  configuredSessions.add(ses);
+  sessionProfileIds.set(ses, profileId);
+
+  // Route traffic through the profile's proxy
+  applyProxyConfig(ses, profileId);
+  applySpellcheckLanguages(ses);
 
   // Enable strict secure cookies - only send over HTTPS
   ses.cookies.on('changed', (event, cookie, cause, removed) => {
     // Log cookie changes for debugging (remove in production if not needed)
     if (process.env.NODE_ENV === 'development') {
-      console.log(`Cookie ${removed ? 'removed' : 'set'}: ${cookie.name}`);
+      log.debug(`Cookie ${removed ? 'removed' : 'set'}: ${cookie.name}`);
     }
   });
 
@@ -142,265 +477,3306 @@ function configureSecureSession() {
     });
   });
 
-  // Block requests to non-Google domains for extra security (except CDNs)
+  // Block requests to domains outside the profile's allowlist (looked up per request so edits apply at once),
+  // then trackers matched by the enabled filter lists
   ses.webRequest.onBeforeRequest({ urls: ['*://*/*'] }, (details, callback) => {
     const url = new URL(details.url);
-    const allowedDomains = [
-      'google.com',
-      'googleapis.com',
-      'gstatic.com',
-      'googleusercontent.com',
-      'google-analytics.com',
-      'doubleclick.net',
-      'youtube.com',
-      'ytimg.com',
-      'ggpht.com',
-    ];
+    const isAllowed = isHostAllowed(url.hostname, getAllowedDomains(profileId));
     
-    const isAllowed = allowedDomains.some(domain => 
-      url.hostname === domain || url.hostname.endsWith('.' + domain)
-    );
-    
-    callback({ cancel: !isAllowed });
+    if (!isAllowed) {
+      recordBlockedRequest(profileId, url, details.resourceType);
+      callback({ cancel: true });
+      return;
+    }
+    callback({ cancel: isTrackerRequest(details, url) });
   });
 
-  // Clear sensitive data periodically from memory (every 30 minutes)
-  setInterval(() => {
-    if (global.gc) {
-      global.gc();
-    }
-  }, 30 * 60 * 1000);
+  // Certificate policy on top of Chromium's own verification
+  ses.setCertificateVerifyProc((request, callback) => {
+    callback(verifyCertificate(request));
+  });
+
+  ses.on('will-download', (event, item, webContents) => handleDownload(item, webContents));
 }
 
-// Security: Check if system encryption is available
-function checkEncryptionAvailable() {
-  const available = safeStorage.isEncryptionAvailable();
-  const platform = process.platform;
-  
-  if (available) {
-    console.log('✓ System encryption is available');
-    if (platform === 'win32') {
-      console.log('  - Settings will be encrypted using Windows DPAPI');
-      console.log('  - Data is tied to this Windows user account');
-    } else if (platform === 'darwin') {
-      console.log('  - Settings will be encrypted using macOS Keychain');
-      console.log('  - Data is tied to this macOS user account');
-    } else {
-      console.log('  - Settings will be encrypted using system keyring (libsecret)');
-      console.log('  - Data is tied to this Linux user account');
+// TLS policy: Chromium's verdict stands unless a trusted-bundle CA vouches for the chain,
+// and accepted chains for Google hosts must also match the SPKI pins when pinning is on
+
+const CERT_VERIFY_ACCEPT = 0;
+const CERT_VERIFY_REJECT = -2;
+const CERT_VERIFY_USE_CHROMIUM = -3;
+
+function verifyCertificate({ hostname, certificate, verificationResult }) {
+  try {
+    const chain = tlsPolicy.certificateChain(certificate);
+    let result = CERT_VERIFY_USE_CHROMIUM;
+
+    if (verificationResult !== 'net::OK') {
+      if (verificationResult !== 'net::ERR_CERT_AUTHORITY_INVALID' || trustedCaBundle.length === 0) {
+        recordCertificateFailure(hostname, certificate, verificationResult);
+        return CERT_VERIFY_USE_CHROMIUM;
+      }
+      const bundleResult = tlsPolicy.verifyWithCaBundle(chain, hostname, trustedCaBundle);
+      if (!bundleResult.trusted) {
+        recordCertificateFailure(hostname, certificate, `${verificationResult} (${bundleResult.reason})`);
+        return CERT_VERIFY_REJECT;
+      }
+      result = CERT_VERIFY_ACCEPT;
+    } else if (tlsPolicy.isPinnableHost(hostname)) {
+      observedPinnableChain = chain;
     }
-    return true;
-  } else {
-    console.warn('⚠ System encryption is NOT available');
-    console.warn('  - Settings will be stored in plain text');
-    if (platform === 'linux') {
-      console.warn('  - Install gnome-keyring or kwallet for encrypted storage');
-    } else {
-      console.warn('  - Consider running on a newer OS or with proper keychain access');
+
+    if (settings.tlsPinningEnabled && settings.tlsPins.length > 0 && tlsPolicy.isPinnableHost(hostname) &&
+        !tlsPolicy.matchesPins(chain, settings.tlsPins)) {
+      recordCertificateFailure(hostname, certificate, 'Certificate chain does not match the pinned keys');
+      return CERT_VERIFY_REJECT;
     }
-    return false;
+    return result;
+  } catch (error) {
+    recordCertificateFailure(hostname, certificate, `Could not check certificate: ${error.message}`);
+    return CERT_VERIFY_REJECT;
   }
 }
 
-// Create system tray
-function createTray() {
-  // Create tray icon (use a simple icon or the app icon)
-  const iconPath = path.join(__dirname, 'assets', 'icon.png');
-  let trayIcon;
-  
-  try {
-    if (fs.existsSync(iconPath)) {
-      trayIcon = nativeImage.createFromPath(iconPath);
-      trayIcon = trayIcon.resize({ width: 16, height: 16 });
-    } else {
-      // Create a simple default icon if no icon file exists
-      trayIcon = nativeImage.createEmpty();
-    }
-  } catch (error) {
-    trayIcon = nativeImage.createEmpty();
+function recordCertificateFailure(hostname, certificate, error) {
+  log.warn(`Rejected certificate for ${hostname}: ${error}`);
+  if (!tlsAuditLog) {
+    return;
   }
-  
-  tray = new Tray(trayIcon);
-  tray.setToolTip('Gemini Desktop');
-  
-  updateTrayMenu();
-  
-  // Double-click to show window
-  tray.on('double-click', () => {
-    if (mainWindow) {
-      mainWindow.show();
-      mainWindow.focus();
-    }
+  tlsAuditLog.record({
+    host: hostname,
+    error,
+    subject: certificate.subjectName || '',
+    issuer: certificate.issuerName || '',
+    fingerprint: certificate.fingerprint || '',
+    validExpiry: certificate.validExpiry ? certificate.validExpiry * 1000 : null
   });
+  saveTlsAuditLogSoon();
+  notifyCertificatesWindow();
+
+  // Tell the user once per host and run instead of letting the page fail silently
+  if (!reportedCertificateHosts.has(hostname)) {
+    reportedCertificateHosts.add(hostname);
+    showMessage('Certificate Rejected',
+      `Gemini Desktop refused the certificate presented by ${hostname}:\n${error}\n\n` +
+      'If your network uses a TLS-inspection proxy, add its CA certificate in View > Certificates.', 'warning');
+  }
 }
 
-// Update tray context menu
-function updateTrayMenu() {
-  const contextMenu = Menu.buildFromTemplate([
-    {
-      label: 'Show Gemini Desktop',
-      click: () => {
-        if (mainWindow) {
-          mainWindow.show();
-          mainWindow.focus();
-        }
-      }
-    },
-    { type: 'separator' },
-    {
-      label: process.platform === 'win32' ? 'Start with Windows' : 
-             process.platform === 'darwin' ? 'Start at Login' : 'Start with System',
-      type: 'checkbox',
-      checked: settings.startAtLogin,
-      click: (menuItem) => {
-        settings.startAtLogin = menuItem.checked;
-        saveSettings(settings);
-        updateAutoLaunch();
-      }
-    },
-    {
-      label: 'Start Minimized',
-      type: 'checkbox',
-      checked: settings.startMinimized,
-      click: (menuItem) => {
-        settings.startMinimized = menuItem.checked;
-        saveSettings(settings);
-      }
-    },
-    {
-      label: 'Minimize to Tray',
-      type: 'checkbox',
-      checked: settings.minimizeToTray,
-      click: (menuItem) => {
-        settings.minimizeToTray = menuItem.checked;
-        saveSettings(settings);
-      }
-    },
-    { type: 'separator' },
-    {
-      label: 'Quit',
-      click: () => {
-        isQuitting = true;
-        app.quit();
-      }
-    }
-  ]);
-  
-  tray.setContextMenu(contextMenu);
+let tlsAuditSaveTimer = null;
+function saveTlsAuditLogSoon() {
+  clearTimeout(tlsAuditSaveTimer);
+  tlsAuditSaveTimer = setTimeout(() => secureStore.save(tlsAuditPath, tlsAuditLog.entries()), 2000);
 }
 
-// Update auto-launch setting (cross-platform)
-function updateAutoLaunch() {
-  // Note: On Linux/SteamOS, this may require additional setup
-  // The .desktop file needs to be in ~/.config/autostart/
-  const loginSettings = {
-    openAtLogin: settings.startAtLogin,
-    path: app.getPath('exe'),
-    args: settings.startMinimized ? ['--hidden'] : []
-  };
-  
-  // On Linux, also handle autostart directory
-  if (process.platform === 'linux' && settings.startAtLogin) {
-    try {
-      const autostartDir = path.join(app.getPath('home'), '.config', 'autostart');
-      const desktopFile = path.join(autostartDir, 'gemini-desktop.desktop');
-      
-      if (!fs.existsSync(autostartDir)) {
-        fs.mkdirSync(autostartDir, { recursive: true });
-      }
-      
-      const desktopContent = `[Desktop Entry]
-Type=Application
-Name=Gemini Desktop
-Exec="${app.getPath('exe')}"${settings.startMinimized ? ' --hidden' : ''}
-Icon=${path.join(__dirname, 'assets', 'icon.png')}
-Comment=Standalone desktop app for Google Gemini
-Categories=Network;Chat;Utility;
-Terminal=false
-StartupWMClass=Gemini Desktop
-X-GNOME-Autostart-enabled=true
-`;
-      
-      fs.writeFileSync(desktopFile, desktopContent);
-      console.log('Created autostart entry for Linux');
-    } catch (error) {
-      console.error('Failed to create Linux autostart entry:', error);
-    }
-  } else if (process.platform === 'linux' && !settings.startAtLogin) {
-    // Remove autostart file if disabled
+function loadTrustedCaBundle() {
+  trustedCaBundle = [];
+  trustedCaBundleError = null;
+  if (settings.trustedCaBundlePath) {
     try {
-      const desktopFile = path.join(app.getPath('home'), '.config', 'autostart', 'gemini-desktop.desktop');
-      if (fs.existsSync(desktopFile)) {
-        fs.unlinkSync(desktopFile);
-        console.log('Removed autostart entry for Linux');
+      trustedCaBundle = tlsPolicy.parseCaBundle(fs.readFileSync(settings.trustedCaBundlePath, 'utf8'));
+      if (trustedCaBundle.length === 0) {
+        trustedCaBundleError = 'The file contains no CA certificates';
       }
     } catch (error) {
-      console.error('Failed to remove Linux autostart entry:', error);
+      trustedCaBundleError = error.message;
+      log.warn('Could not load the trusted CA bundle:', error.message);
     }
   }
-  
-  app.setLoginItemSettings(loginSettings);
+  resetTlsConnections();
 }
 
-function createWindow() {
-  // Create the browser window with enhanced security
-  mainWindow = new BrowserWindow({
-    width: 1400,
-    height: 900,
-    minWidth: 800,
-    minHeight: 600,
-    title: 'Gemini Desktop',
+// Drop open connections so policy changes apply to the next request rather than after a restart
+function resetTlsConnections() {
+  if (!app.isReady()) {
+    return;
+  }
+  for (const profile of settings.profiles) {
+    getProfileSession(profile.id).closeAllConnections();
+  }
+  notifyCertificatesWindow();
+}
+
+function notifyCertificatesWindow() {
+  if (certificatesWindow) {
+    certificatesWindow.webContents.send('certificates:changed');
+  }
+}
+
+function describeCertificate(pem) {
+  const cert = new crypto.X509Certificate(pem);
+  return { subject: cert.subject.split('\n').join(', '), pin: tlsPolicy.spkiHash(pem) };
+}
+
+function showCertificatesWindow() {
+  if (certificatesWindow) {
+    certificatesWindow.show();
+    certificatesWindow.focus();
+    return;
+  }
+
+  certificatesWindow = new BrowserWindow({
+    width: 960,
+    height: 620,
+    minWidth: 640,
+    minHeight: 420,
+    title: 'Certificates',
     icon: path.join(__dirname, 'assets', 'icon.png'),
+    show: false,
     webPreferences: {
-      preload: path.join(__dirname, 'preload.js'),
+      preload: path.join(__dirname, 'pages', 'certificates-preload.js'),
       nodeIntegration: false,
       contextIsolation: true,
       webSecurity: true,
-      allowRunningInsecureContent: false,
-      // Additional security settings
-      sandbox: true,                    // Enable sandbox for renderer
-      webviewTag: false,                // Disable webview tag
-      enableRemoteModule: false,        // Disable remote module
-      spellcheck: true,                 // Enable spellcheck
-      safeDialogs: true,                // Prevent dialog spam
-      navigateOnDragDrop: false,        // Prevent drag-drop navigation
+      sandbox: true,
+      webviewTag: false,
+      navigateOnDragDrop: false,
     },
-    autoHideMenuBar: false,
-    show: false, // Don't show until ready
   });
+  certificatesWindow.setMenu(null);
 
-  // Create application menu
-  const menu = Menu.buildFromTemplate([
-    {
-      label: 'File',
-      submenu: [
-        {
-          label: 'New Chat',
-          accelerator: 'CmdOrCtrl+N',
-          click: () => {
-            mainWindow.loadURL('https://gemini.google.com/app');
-          }
-        },
-        { type: 'separator' },
-        {
-          label: 'Quit',
-          accelerator: 'CmdOrCtrl+Q',
+  const ipc = certificatesWindow.webContents.ipc;
+  ipc.handle('certificates:get', () => ({
+    log: tlsAuditLog ? tlsAuditLog.entries() : [],
+    pinningEnabled: settings.tlsPinningEnabled,
+    pins: settings.tlsPins,
+    pinnableDomains: tlsPolicy.PINNABLE_DOMAINS,
+    observedChain: observedPinnableChain ? observedPinnableChain.map(describeCertificate) : [],
+    bundlePath: settings.trustedCaBundlePath,
+    bundleCount: trustedCaBundle.length,
+    bundleError: trustedCaBundleError,
+    managed: {
+      pinning: isManagedSetting('tlsPinningEnabled'),
+      pins: isManagedSetting('tlsPins'),
+      bundle: isManagedSetting('trustedCaBundlePath')
+    }
+  }));
+  ipc.handle('certificates:set-pinning', (event, enabled) => updateSetting('tlsPinningEnabled', enabled === true));
+  ipc.handle('certificates:add-pin', (event, pin) => {
+    const value = typeof pin === 'string' ? pin.trim() : '';
+    if (!tlsPolicy.isValidPin(value)) {
+      return { valid: false, error: 'A pin is the base64 SHA-256 hash of a public key (44 characters ending in "=")' };
+    }
+    return updateSetting('tlsPins', [...new Set([...settings.tlsPins, value])]);
+  });
+  ipc.handle('certificates:remove-pin', (event, pin) => updateSetting('tlsPins', settings.tlsPins.filter(item => item !== pin)));
+  ipc.handle('certificates:pin-observed', () => {
+    if (!observedPinnableChain) {
+      return { valid: false, error: 'No Google certificate has been seen yet' };
+    }
+    // Pin the issuing CAs rather than the leaf, which Google rotates every few weeks
+    const cas = observedPinnableChain.length > 1 ? observedPinnableChain.slice(1) : observedPinnableChain;
+    return updateSetting('tlsPins', [...new Set([...settings.tlsPins, ...cas.map(tlsPolicy.spkiHash)])]);
+  });
+  ipc.handle('certificates:choose-bundle', async () => {
+    const { dialog } = require('electron');
+    const { canceled, filePaths } = await dialog.showOpenDialog(certificatesWindow, {
+      title: 'Choose Trusted CA Bundle',
+      properties: ['openFile'],
+      filters: [
+        { name: 'PEM Certificates', extensions: ['pem', 'crt', 'cer'] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+    if (!canceled && filePaths.length > 0) {
+      updateSetting('trustedCaBundlePath', filePaths[0]);
+    }
+  });
+  ipc.handle('certificates:clear-bundle', () => updateSetting('trustedCaBundlePath', ''));
+  ipc.handle('certificates:clear-log', () => {
+    tlsAuditLog.clear();
+    secureStore.delete(tlsAuditPath);
+    reportedCertificateHosts.clear();
+    notifyCertificatesWindow();
+  });
+
+  certificatesWindow.once('ready-to-show', () => certificatesWindow.show());
+  certificatesWindow.on('closed', () => {
+    certificatesWindow = null;
+  });
+  certificatesWindow.loadFile(path.join(__dirname, 'pages', 'certificates.html'));
+}
+
+// Tracker blocking with Adblock/EasyPrivacy-syntax filter lists
+
+// Built-in lists from the app folder plus any .txt files the user put in the filter-lists folder
+function findFilterListFiles() {
+  const sources = [
+    { dir: builtinFilterListDir, prefix: 'builtin/' },
+    { dir: filterListDir, prefix: '' }
+  ];
+  const files = [];
+  for (const { dir, prefix } of sources) {
+    let names = [];
+    try {
+      names = fs.readdirSync(dir).filter(name => name.toLowerCase().endsWith('.txt')).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn(`Could not read filter lists in ${dir}:`, error.message);
+      }
+    }
+    for (const name of names) {
+      files.push({ id: prefix + name, name: path.basename(name, path.extname(name)), filePath: path.join(dir, name) });
+    }
+  }
+  return files;
+}
+
+// (Re)compile the enabled filter lists; called at startup and whenever lists or toggles change
+function loadFilterLists() {
+  const lists = [];
+  filterLists = findFilterListFiles().map(({ id, name, filePath }) => {
+    const info = { id, name, rules: 0, skipped: 0, error: null };
+    if (!settings.trackerBlockingEnabled || settings.disabledFilterLists.includes(id)) {
+      return info;
+    }
+    try {
+      if (fs.statSync(filePath).size > MAX_FILTER_LIST_BYTES) {
+        throw new Error('file is too large');
+      }
+      lists.push({ name: id, text: fs.readFileSync(filePath, 'utf8') });
+    } catch (error) {
+      info.error = error.message;
+      log.warn(`Could not load filter list ${id}:`, error.message);
+    }
+    return info;
+  });
+
+  trackerFilter = lists.length > 0 ? createFilterEngine(lists) : null;
+  for (const stat of trackerFilter ? trackerFilter.stats : []) {
+    Object.assign(filterLists.find(info => info.id === stat.name), { rules: stat.rules, skipped: stat.skipped });
+  }
+  updateAppMenu();
+  updateTrayTooltip();
+}
+
+// Pick up lists dropped into (or replaced in) the filter-lists folder without a restart
+let filterListWatcher = null;
+let filterListReloadTimer = null;
+function watchFilterLists() {
+  try {
+    fs.mkdirSync(filterListDir, { recursive: true });
+    filterListWatcher = fs.watch(filterListDir, () => {
+      clearTimeout(filterListReloadTimer);
+      filterListReloadTimer = setTimeout(() => loadFilterLists(), 1000);
+    });
+  } catch (error) {
+    log.warn('Could not watch the filter lists folder:', error.message);
+  }
+}
+
+function setFilterListEnabled(id, enabled) {
+  const disabled = settings.disabledFilterLists.filter(item => item !== id);
+  updateSetting('disabledFilterLists', enabled ? disabled : [...disabled, id]);
+  loadFilterLists();
+}
+
+// Never blocks the page itself, only what it loads
+function isTrackerRequest(details, url) {
+  if (!trackerFilter || details.resourceType === 'mainFrame') {
+    return false;
+  }
+
+  let firstPartyHost = null;
+  try {
+    firstPartyHost = new URL(details.webContents ? details.webContents.getURL() : details.referrer).hostname || null;
+  } catch {
+    // No page URL yet; rules limited to first/third-party or domain= are skipped
+  }
+
+  const rule = trackerFilter.match({
+    url: details.url,
+    hostname: url.hostname,
+    resourceType: details.resourceType,
+    firstPartyHost
+  });
+  if (!rule) {
+    return false;
+  }
+  log.debug(`Blocked tracker ${url.hostname} (${rule.list}: ${rule.text})`);
+  blockedTrackerCount++;
+  updateTrayTooltipSoon();
+  return true;
+}
+
+// User customizations: stylesheets and scripts from the customizations folder, applied to the Gemini page
+
+function findCustomizationFiles() {
+  let names = [];
+  try {
+    names = fs.readdirSync(customizationsDir).filter(name => /\.(css|js)$/i.test(name)).sort();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.warn(`Could not read customizations in ${customizationsDir}:`, error.message);
+    }
+  }
+  return names.map(name => ({
+    id: name,
+    type: path.extname(name).slice(1).toLowerCase(),
+    filePath: path.join(customizationsDir, name)
+  }));
+}
+
+// Enabled customizations of one type ('css' or 'js') that loaded
+function enabledCustomizations(type) {
+  if (!settings.customizationsEnabled) {
+    return [];
+  }
+  return customizations.filter(item => item.type === type && item.text !== null);
+}
+
+function isCustomizablePage(contents) {
+  try {
+    return new URL(contents.getURL()).hostname === 'gemini.google.com';
+  } catch {
+    return false;
+  }
+}
+
+// (Re)read the enabled files; stylesheets are swapped in place, changed scripts reload the chat windows
+function loadCustomizations() {
+  const scriptsBefore = JSON.stringify(enabledCustomizations('js').map(({ id, text }) => [id, text]));
+
+  customizations = findCustomizationFiles().map(({ id, type, filePath }) => {
+    const info = { id, type, text: null, error: null };
+    if (settings.disabledCustomizations.includes(id)) {
+      return info;
+    }
+    try {
+      if (fs.statSync(filePath).size > MAX_CUSTOMIZATION_BYTES) {
+        throw new Error('file is too large');
+      }
+      info.text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      info.error = error.message;
+      log.warn(`Could not load customization ${id}:`, error.message);
+    }
+    return info;
+  });
+
+  const scriptsChanged = JSON.stringify(enabledCustomizations('js').map(({ id, text }) => [id, text])) !== scriptsBefore;
+  for (const window of chatWindows) {
+    if (scriptsChanged && isCustomizablePage(window.webContents)) {
+      window.webContents.reload();  // Scripts can't be unloaded; dom-ready applies everything again
+    } else {
+      applyCustomStyles(window.webContents);
+    }
+  }
+  updateAppMenu();
+}
+
+// Replace the stylesheets inserted earlier; updates per page are chained so keys are never lost
+function applyCustomStyles(contents) {
+  const previous = customStyleUpdates.get(contents) || Promise.resolve([]);
+  const next = previous.then(async (keys) => {
+    // Keys from a previous document are gone with it; removing them is harmless
+    await Promise.all(keys.map(key => contents.removeInsertedCSS(key).catch(() => {})));
+    if (contents.isDestroyed() || !isCustomizablePage(contents)) {
+      return [];
+    }
+    return Promise.all(enabledCustomizations('css').map(style => contents.insertCSS(style.text)));
+  }).catch((error) => {
+    log.warn('Could not apply customization stylesheets:', error.message);
+    return [];
+  });
+  customStyleUpdates.set(contents, next);
+  return next;
+}
+
+// Scripts run in their own isolated world: they share the DOM, not the page's or the preload's globals
+function runUserScripts(contents) {
+  if (!isCustomizablePage(contents)) {
+    return;
+  }
+  for (const script of enabledCustomizations('js')) {
+    contents.executeJavaScriptInIsolatedWorld(CUSTOMIZATION_WORLD_ID, [{ code: script.text, url: `customizations/${script.id}` }])
+      .catch(error => log.warn(`Customization ${script.id} failed:`, error.message));
+  }
+}
+
+// Pick up edits in the customizations folder without a restart
+let customizationsWatcher = null;
+let customizationsReloadTimer = null;
+function watchCustomizations() {
+  try {
+    fs.mkdirSync(customizationsDir, { recursive: true });
+    customizationsWatcher = fs.watch(customizationsDir, () => {
+      clearTimeout(customizationsReloadTimer);
+      customizationsReloadTimer = setTimeout(() => loadCustomizations(), 500);
+    });
+  } catch (error) {
+    log.warn('Could not watch the customizations folder:', error.message);
+  }
+}
+
+function setCustomizationEnabled(id, enabled) {
+  const disabled = settings.disabledCustomizations.filter(item => item !== id);
+  updateSetting('disabledCustomizations', enabled ? disabled : [...disabled, id]);
+}
+
+function buildCustomizationMenuItems() {
+  const fileItems = customizations.map(item => {
+    const enabled = !settings.disabledCustomizations.includes(item.id);
+    return {
+      label: `${item.id}${item.error ? ' (failed to load)' : ''}`,
+      type: 'checkbox',
+      checked: enabled,
+      enabled: settings.customizationsEnabled && !isManagedSetting('disabledCustomizations'),
+      click: (menuItem) => setCustomizationEnabled(item.id, menuItem.checked)
+    };
+  });
+
+  return [
+    {
+      label: 'Use Customizations',
+      type: 'checkbox',
+      checked: settings.customizationsEnabled,
+      enabled: !isManagedSetting('customizationsEnabled'),
+      click: (menuItem) => updateSetting('customizationsEnabled', menuItem.checked)
+    },
+    { type: 'separator' },
+    ...(fileItems.length > 0 ? fileItems : [{ label: 'No .css or .js files found', enabled: false }]),
+    { type: 'separator' },
+    {
+      label: 'Reload Customizations',
+      click: () => loadCustomizations()
+    },
+    {
+      label: 'Open Customizations Folder',
+      click: () => {
+        fs.mkdirSync(customizationsDir, { recursive: true });
+        shell.openPath(customizationsDir);
+      }
+    }
+  ];
+}
+
+// Network allowlist and blocked-request log
+
+function getAllowedDomains(profileId = settings.activeProfile) {
+  if (policy.allowedDomains) {
+    return policy.allowedDomains;
+  }
+  const profile = getProfile(profileId);
+  return profile.allowedDomains || DEFAULT_ALLOWED_DOMAINS;
+}
+
+function setAllowedDomains(domains, profileId = settings.activeProfile) {
+  getProfile(profileId).allowedDomains = [...new Set(domains)];
+  saveSettings(settings);
+  notifyNetworkWindow();
+}
+
+function getBlockedRequestLog(profileId = settings.activeProfile) {
+  if (!blockedRequestLogs.has(profileId)) {
+    blockedRequestLogs.set(profileId, createBlockedRequestLog(BLOCKED_REQUEST_LOG_SIZE));
+  }
+  return blockedRequestLogs.get(profileId);
+}
+
+function recordBlockedRequest(profileId, url, resourceType) {
+  // Keep query strings out of the log, they can carry chat content or tokens
+  const shortUrl = `${url.origin}${url.pathname}`.slice(0, 200);
+  if (getBlockedRequestLog(profileId).record(url.hostname, resourceType, shortUrl)) {
+    log.debug(`Blocked ${resourceType} request to ${url.hostname} (not in allowlist)`);
+  }
+  notifyNetworkWindow();
+}
+
+// Blocked requests can come in bursts, so batch window updates
+let networkNotifyTimer = null;
+function notifyNetworkWindow() {
+  if (!networkWindow || networkNotifyTimer) {
+    return;
+  }
+  networkNotifyTimer = setTimeout(() => {
+    networkNotifyTimer = null;
+    if (networkWindow) {
+      networkWindow.webContents.send('network:changed');
+    }
+  }, 500);
+}
+
+function showNetworkWindow() {
+  if (networkWindow) {
+    networkWindow.show();
+    networkWindow.focus();
+    return;
+  }
+
+  networkWindow = new BrowserWindow({
+    width: 900,
+    height: 600,
+    minWidth: 600,
+    minHeight: 400,
+    title: 'Network Activity',
+    icon: path.join(__dirname, 'assets', 'icon.png'),
+    show: false,
+    webPreferences: {
+      preload: path.join(__dirname, 'pages', 'network-preload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      webSecurity: true,
+      sandbox: true,
+      webviewTag: false,
+      navigateOnDragDrop: false,
+    },
+  });
+  networkWindow.setMenu(null);
+
+  const ipc = networkWindow.webContents.ipc;
+  ipc.handle('network:get', () => ({
+    profileName: getProfile().name,
+    allowedDomains: getAllowedDomains(),
+    isDefaultList: !getProfile().allowedDomains,
+    managed: !!policy.allowedDomains,
+    blocked: getBlockedRequestLog().entries()
+  }));
+  ipc.handle('network:allow', (event, input) => {
+    if (policy.allowedDomains) {
+      return { valid: false, error: 'The allowlist is managed by your administrator' };
+    }
+    const domain = normalizeDomain(input);
+    if (!domain) {
+      return { valid: false, error: `"${input}" is not a valid host name` };
+    }
+    setAllowedDomains([...getAllowedDomains(), domain]);
+    getBlockedRequestLog().removeHost(domain);
+    return { valid: true, value: domain };
+  });
+  ipc.handle('network:remove', (event, domain) => {
+    if (policy.allowedDomains) {
+      return;
+    }
+    setAllowedDomains(getAllowedDomains().filter(item => item !== domain));
+  });
+  ipc.handle('network:reset', () => {
+    if (policy.allowedDomains) {
+      return;
+    }
+    delete getProfile().allowedDomains;
+    saveSettings(settings);
+    notifyNetworkWindow();
+  });
+  ipc.handle('network:clear-log', () => {
+    getBlockedRequestLog().clear();
+    notifyNetworkWindow();
+  });
+
+  networkWindow.once('ready-to-show', () => networkWindow.show());
+  networkWindow.on('closed', () => {
+    networkWindow = null;
+  });
+  networkWindow.loadFile(path.join(__dirname, 'pages', 'network.html'));
+}
+
+// Proxy settings (per profile) and proxy authentication
+
+const PROXY_TEST_TIMEOUT = 15000;
+const PROXY_CREDENTIALS_RETRY_WINDOW = 10000;  // A new challenge this soon after trying saved credentials means they were rejected
+
+function applyProxyConfig(ses, profileId) {
+  const config = getProfile(profileId).proxy;
+  return ses.setProxy(proxyConfig.toSessionProxyConfig(config))
+    .then(() => ses.closeAllConnections())
+    .catch(error => log.error(`Could not apply proxy settings for profile ${profileId}:`, error));
+}
+
+function setProfileProxy(config, profileId = settings.activeProfile) {
+  const result = proxyConfig.normalizeProxyConfig(config);
+  if (!result.valid) {
+    return Promise.resolve(result);
+  }
+
+  const profile = getProfile(profileId);
+  if (result.value.mode === 'system') {
+    delete profile.proxy;
+  } else {
+    profile.proxy = result.value;
+  }
+  saveSettings(settings);
+  return applyProxyConfig(getProfileSession(profileId), profileId).then(() => result);
+}
+
+// Saved proxy credentials are only ever stored encrypted
+function loadProxyCredentials() {
+  const stored = secureStore.isAvailable() ? secureStore.load(proxyCredentialsPath, {}) : {};
+  return stored && typeof stored === 'object' ? stored : {};
+}
+
+function saveProxyCredentials(profileId, credentials) {
+  const stored = loadProxyCredentials();
+  if (credentials) {
+    if (!secureStore.isAvailable()) {
+      return false;
+    }
+    stored[profileId] = { username: credentials.username, password: credentials.password };
+  } else {
+    delete stored[profileId];
+  }
+  return Object.keys(stored).length > 0
+    ? secureStore.save(proxyCredentialsPath, stored)
+    : secureStore.delete(proxyCredentialsPath);
+}
+
+// Answer a proxy challenge with the saved credentials once, then ask the user
+// (concurrent challenges for the same proxy share one prompt)
+const proxyAuthPrompts = new Map();  // "profileId|host:port" -> Promise
+const proxyCredentialsTriedAt = new Map();
+function getProxyCredentials(profileId, authInfo) {
+  const key = `${profileId}|${authInfo.host}:${authInfo.port}`;
+  const saved = loadProxyCredentials()[profileId];
+  const triedAt = proxyCredentialsTriedAt.get(key);
+  if (saved && (!triedAt || Date.now() - triedAt > PROXY_CREDENTIALS_RETRY_WINDOW)) {
+    proxyCredentialsTriedAt.set(key, Date.now());
+    return Promise.resolve(saved);
+  }
+
+  if (!proxyAuthPrompts.has(key)) {
+    const prompt = showProxyLoginPrompt({
+      host: `${authInfo.host}:${authInfo.port}`,
+      realm: authInfo.realm,
+      profileName: getProfile(profileId).name,
+      username: saved ? saved.username : ''
+    }).then(result => {
+      proxyAuthPrompts.delete(key);
+      if (result && result.remember) {
+        saveProxyCredentials(profileId, result);
+        proxyCredentialsTriedAt.set(key, Date.now());
+      }
+      return result;
+    });
+    proxyAuthPrompts.set(key, prompt);
+  }
+  return proxyAuthPrompts.get(key);
+}
+
+// Ask for proxy credentials; resolves to { username, password, remember } or null when cancelled
+function showProxyLoginPrompt({ host, realm, profileName, username }) {
+  return new Promise((resolve) => {
+    const parent = mainWindow && mainWindow.isVisible() ? mainWindow : undefined;
+    const promptWindow = new BrowserWindow({
+      width: 420,
+      height: 290,
+      parent,
+      modal: !!parent,
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      title: 'Proxy Authentication',
+      show: false,
+      webPreferences: {
+        preload: path.join(__dirname, 'pages', 'proxy-login-preload.js'),
+        nodeIntegration: false,
+        contextIsolation: true,
+        webSecurity: true,
+        sandbox: true,
+        webviewTag: false,
+        navigateOnDragDrop: false,
+      },
+    });
+
+    let result = null;
+    promptWindow.setMenu(null);
+    promptWindow.webContents.ipc.handle('proxy-login:get-options', () => ({
+      host,
+      realm,
+      profileName,
+      username,
+      canRemember: secureStore.isAvailable()
+    }));
+    promptWindow.webContents.ipc.on('proxy-login:submit', (event, credentials) => {
+      if (credentials && typeof credentials.username === 'string' && typeof credentials.password === 'string') {
+        result = {
+          username: credentials.username,
+          password: credentials.password,
+          remember: credentials.remember === true
+        };
+      }
+      promptWindow.close();
+    });
+    promptWindow.webContents.ipc.on('proxy-login:cancel', () => {
+      promptWindow.close();
+    });
+
+    promptWindow.once('ready-to-show', () => promptWindow.show());
+    promptWindow.on('closed', () => resolve(result));
+    promptWindow.loadFile(path.join(__dirname, 'pages', 'proxy-login.html'));
+  });
+}
+
+// Fetch the Gemini page through the profile's session; resolves to { ok, proxy, message }
+async function testProxyConnection(profileId = settings.activeProfile) {
+  const ses = getProfileSession(profileId);
+  const proxy = await ses.resolveProxy(GEMINI_URL);
+  const started = Date.now();
+
+  return new Promise((resolve) => {
+    const request = net.request({ url: GEMINI_URL, session: ses, useSessionCookies: false, redirect: 'manual' });
+    const finish = (result) => {
+      clearTimeout(timer);
+      request.abort();
+      resolve({ proxy, ...result });
+    };
+    const timer = setTimeout(() => {
+      finish({ ok: false, message: `No response after ${PROXY_TEST_TIMEOUT / 1000} seconds` });
+    }, PROXY_TEST_TIMEOUT);
+
+    request.on('login', (authInfo, callback) => {
+      if (!authInfo.isProxy) {
+        callback();
+        return;
+      }
+      const saved = loadProxyCredentials()[profileId];
+      if (saved) {
+        callback(saved.username, saved.password);
+      } else {
+        callback();
+      }
+    });
+    request.on('response', (response) => {
+      const ok = response.statusCode < 400;
+      finish({
+        ok,
+        message: response.statusCode === 407
+          ? 'The proxy rejected the saved credentials (HTTP 407)'
+          : `Gemini answered with HTTP ${response.statusCode} in ${Date.now() - started} ms`
+      });
+    });
+    request.on('redirect', (statusCode) => {
+      finish({ ok: true, message: `Gemini answered with HTTP ${statusCode} in ${Date.now() - started} ms` });
+    });
+    request.on('error', (error) => {
+      finish({ ok: false, message: error.message });
+    });
+    request.end();
+  });
+}
+
+function showProxyWindow() {
+  if (proxyWindow) {
+    proxyWindow.show();
+    proxyWindow.focus();
+    return;
+  }
+
+  proxyWindow = new BrowserWindow({
+    width: 520,
+    height: 600,
+    minWidth: 440,
+    minHeight: 480,
+    title: 'Proxy Settings',
+    icon: path.join(__dirname, 'assets', 'icon.png'),
+    show: false,
+    webPreferences: {
+      preload: path.join(__dirname, 'pages', 'proxy-preload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      webSecurity: true,
+      sandbox: true,
+      webviewTag: false,
+      navigateOnDragDrop: false,
+    },
+  });
+  proxyWindow.setMenu(null);
+
+  // The window always edits the active profile
+  const ipc = proxyWindow.webContents.ipc;
+  ipc.handle('proxy:get', () => {
+    const saved = loadProxyCredentials()[settings.activeProfile];
+    return {
+      profileName: getProfile().name,
+      config: getProfile().proxy || { mode: 'system' },
+      username: saved ? saved.username : '',
+      hasCredentials: !!saved,
+      canSaveCredentials: secureStore.isAvailable()
+    };
+  });
+  ipc.handle('proxy:save', (event, config) => setProfileProxy(config));
+  ipc.handle('proxy:save-credentials', (event, credentials) => {
+    if (!credentials || typeof credentials.username !== 'string' || !credentials.username ||
+        typeof credentials.password !== 'string') {
+      return { valid: false, error: 'Enter a user name and password' };
+    }
+    if (!saveProxyCredentials(settings.activeProfile, credentials)) {
+      return { valid: false, error: 'Credentials can only be saved when system encryption is available' };
+    }
+    // Make the next challenge use them instead of a cached answer
+    getProfileSession().clearAuthCache();
+    proxyCredentialsTriedAt.clear();
+    return { valid: true };
+  });
+  ipc.handle('proxy:forget-credentials', () => {
+    saveProxyCredentials(settings.activeProfile, null);
+    getProfileSession().clearAuthCache();
+  });
+  ipc.handle('proxy:choose-pac-file', async () => {
+    const { dialog } = require('electron');
+    const { canceled, filePaths } = await dialog.showOpenDialog(proxyWindow, {
+      title: 'Choose PAC Script',
+      properties: ['openFile'],
+      filters: [
+        { name: 'PAC Scripts', extensions: ['pac', 'js'] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+    return canceled || filePaths.length === 0 ? null : filePaths[0];
+  });
+  ipc.handle('proxy:test', () => testProxyConnection());
+
+  proxyWindow.once('ready-to-show', () => proxyWindow.show());
+  proxyWindow.on('closed', () => {
+    proxyWindow = null;
+  });
+  proxyWindow.loadFile(path.join(__dirname, 'pages', 'proxy.html'));
+}
+
+// App lock: a passphrase-protected overlay over every chat window
+
+function loadAppLockRecord() {
+  const record = secureStore.load(appLockPath, null);
+  return appLock.isValidLockRecord(record) ? record : null;
+}
+
+// Cover all chat windows and close the ones that show history or settings
+function lockApp() {
+  if (!appLockRecord || appLocked) {
+    return;
+  }
+  appLocked = true;
+  for (const window of chatWindows) {
+    addLockOverlay(window);
+  }
+  for (const window of [archiveWindow, promptsWindow, preferencesWindow, networkWindow, certificatesWindow, proxyWindow, downloadsWindow]) {
+    if (window) {
+      window.close();
+    }
+  }
+  if (quickAskWindow) {
+    quickAskWindow.hide();
+  }
+  updateAppMenu();
+  updateTrayMenu();
+}
+
+// Local page (pages/<name>.html) covering a chat window's content, kept sized to the window
+function addOverlayView(window, name) {
+  const view = new WebContentsView({
+    webPreferences: {
+      preload: path.join(__dirname, 'pages', `${name}-preload.js`),
+      nodeIntegration: false,
+      contextIsolation: true,
+      webSecurity: true,
+      sandbox: true,
+      webviewTag: false,
+      navigateOnDragDrop: false,
+    },
+  });
+  const fit = () => {
+    const [width, height] = window.getContentSize();
+    view.setBounds({ x: 0, y: 0, width, height });
+  };
+  fit();
+  for (const eventName of OVERLAY_RESIZE_EVENTS) {
+    window.on(eventName, fit);
+  }
+  window.contentView.addChildView(view);
+  view.webContents.loadFile(path.join(__dirname, 'pages', `${name}.html`));
+  return { view, fit };
+}
+
+function removeOverlayView(window, overlay) {
+  if (!window.isDestroyed()) {
+    for (const eventName of OVERLAY_RESIZE_EVENTS) {
+      window.off(eventName, overlay.fit);
+    }
+    window.contentView.removeChildView(overlay.view);
+  }
+  overlay.view.webContents.close();
+}
+
+function addLockOverlay(window) {
+  const overlay = addOverlayView(window, 'lock');
+  lockOverlays.set(window, overlay);
+
+  overlay.view.webContents.ipc.handle('lock:unlock', (event, passphrase) => unlockApp(passphrase));
+  overlay.view.webContents.once('did-finish-load', () => overlay.view.webContents.focus());
+  updateChatWindowTitle(window);
+}
+
+function removeLockOverlay(window) {
+  const overlay = lockOverlays.get(window);
+  if (!overlay) {
+    return;
+  }
+  lockOverlays.delete(window);
+  removeOverlayView(window, overlay);
+  if (!window.isDestroyed()) {
+    updateChatWindowTitle(window);
+    window.webContents.focus();
+  }
+}
+
+// Returns { unlocked } or { unlocked: false, error, retryAfter }
+async function unlockApp(passphrase) {
+  if (!appLocked) {
+    return { unlocked: true };
+  }
+  const wait = nextUnlockAttemptAt - Date.now();
+  if (wait > 0) {
+    return { unlocked: false, error: `Too many attempts. Try again in ${Math.ceil(wait / 1000)} seconds.`, retryAfter: wait };
+  }
+
+  if (!(await appLock.verifyPassphrase(passphrase, appLockRecord))) {
+    failedUnlockAttempts++;
+    const delay = appLock.retryDelay(failedUnlockAttempts);
+    nextUnlockAttemptAt = Date.now() + delay;
+    return {
+      unlocked: false,
+      error: delay > 0 ? `Wrong passphrase. Try again in ${Math.ceil(delay / 1000)} seconds.` : 'Wrong passphrase.',
+      retryAfter: delay
+    };
+  }
+
+  failedUnlockAttempts = 0;
+  appLocked = false;
+  for (const window of [...lockOverlays.keys()]) {
+    removeLockOverlay(window);
+  }
+  if (mainWindow && mainWindow.isFocused()) {
+    markChatWindowRead(mainWindow);
+  }
+  updateAppMenu();
+  updateTrayMenu();
+
+  const action = pendingUnlockAction;
+  pendingUnlockAction = null;
+  if (action) {
+    action();
+  }
+  return { unlocked: true };
+}
+
+// Run an action that drives the chat page now, or show the unlock screen and run it after unlocking
+// (only the latest one is kept)
+function whenUnlocked(action) {
+  if (!appLocked) {
+    action();
+    return;
+  }
+  pendingUnlockAction = action;
+  showMainWindow();
+}
+
+// Lock when a chat window is hidden to the tray, so restoring it asks for the passphrase
+function lockOnHideToTray() {
+  if (settings.appLockOnRestore) {
+    lockApp();
+  }
+}
+
+function checkIdleLock() {
+  if (appLockRecord && !appLocked && settings.appLockIdleMinutes > 0 &&
+      powerMonitor.getSystemIdleTime() >= settings.appLockIdleMinutes * 60) {
+    lockApp();
+  }
+}
+
+// Set, change or remove the passphrase; returns { valid } or { valid: false, error }
+async function changeAppLockPassphrase(mode, { current, passphrase }) {
+  if (mode !== 'set' && !(await appLock.verifyPassphrase(current, appLockRecord))) {
+    return { valid: false, error: 'The current passphrase is wrong.' };
+  }
+
+  if (mode === 'remove') {
+    appLockRecord = null;
+    secureStore.delete(appLockPath);
+  } else {
+    if (typeof passphrase !== 'string' || passphrase.length < appLock.MIN_PASSPHRASE_LENGTH) {
+      return { valid: false, error: `Use at least ${appLock.MIN_PASSPHRASE_LENGTH} characters.` };
+    }
+    const record = await appLock.hashPassphrase(passphrase);
+    if (!secureStore.save(appLockPath, record)) {
+      return { valid: false, error: 'The passphrase could not be saved.' };
+    }
+    appLockRecord = record;
+  }
+
+  updateAppMenu();
+  updateTrayMenu();
+  return { valid: true };
+}
+
+function showPassphraseDialog() {
+  if (passphraseWindow) {
+    passphraseWindow.focus();
+    return;
+  }
+
+  const mode = appLockRecord ? 'change' : 'set';
+  const parent = mainWindow && mainWindow.isVisible() ? mainWindow : undefined;
+  passphraseWindow = new BrowserWindow({
+    width: 420,
+    height: mode === 'set' ? 250 : 310,
+    parent,
+    modal: !!parent,
+    resizable: false,
+    minimizable: false,
+    maximizable: false,
+    fullscreenable: false,
+    title: 'App Lock',
+    show: false,
+    webPreferences: {
+      preload: path.join(__dirname, 'pages', 'passphrase-preload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      webSecurity: true,
+      sandbox: true,
+      webviewTag: false,
+      navigateOnDragDrop: false,
+    },
+  });
+  passphraseWindow.setMenu(null);
+
+  const ipc = passphraseWindow.webContents.ipc;
+  ipc.handle('passphrase:get-options', () => ({
+    mode,
+    minLength: appLock.MIN_PASSPHRASE_LENGTH,
+    encryptionAvailable: secureStore.isAvailable()
+  }));
+  ipc.handle('passphrase:submit', async (event, action, input) => {
+    const result = await changeAppLockPassphrase(action === 'remove' && mode === 'change' ? 'remove' : mode, input || {});
+    if (result.valid) {
+      passphraseWindow.close();
+    }
+    return result;
+  });
+  ipc.on('passphrase:cancel', () => passphraseWindow.close());
+
+  passphraseWindow.once('ready-to-show', () => passphraseWindow.show());
+  passphraseWindow.on('closed', () => {
+    passphraseWindow = null;
+  });
+  passphraseWindow.loadFile(path.join(__dirname, 'pages', 'passphrase.html'));
+}
+
+// Load failures: an error page over the chat window, retried with backoff and as soon as the network is back
+
+function handleLoadFailure(window, errorCode, errorDescription, url) {
+  let failure = loadFailures.get(window);
+  if (!failure) {
+    failure = { overlay: addLoadErrorOverlay(window), attempts: 0, timer: null };
+    loadFailures.set(window, failure);
+  }
+  clearTimeout(failure.timer);
+  failure.attempts++;
+  failure.loadFailed = true;
+  failure.url = url;
+  failure.reason = loadErrors.describeLoadError(errorCode, errorDescription);
+  failure.offline = loadErrors.isOfflineError(errorCode) || !net.isOnline();
+
+  const delay = loadErrors.retryDelay(failure.attempts);
+  failure.retryAt = Date.now() + delay;
+  failure.timer = setTimeout(() => retryLoad(window), delay);
+  failure.overlay.view.webContents.send('load-error:changed');
+  updateTrayTooltip();
+}
+
+function addLoadErrorOverlay(window) {
+  const overlay = addOverlayView(window, 'load-error');
+  // The lock screen stays on top (adding a child view again moves it to the front)
+  if (lockOverlays.has(window)) {
+    window.contentView.addChildView(lockOverlays.get(window).view);
+  }
+
+  const ipc = overlay.view.webContents.ipc;
+  ipc.handle('load-error:get', () => {
+    const failure = loadFailures.get(window);
+    return failure
+      ? { reason: failure.reason, offline: failure.offline, retryAt: failure.retryAt }
+      : { reason: '', offline: false, retryAt: null };
+  });
+  ipc.on('load-error:retry', () => retryLoad(window));
+  return overlay;
+}
+
+function retryLoad(window) {
+  const failure = loadFailures.get(window);
+  if (!failure || window.isDestroyed()) {
+    return;
+  }
+  clearTimeout(failure.timer);
+  failure.retryAt = null;  // The page shows "Retrying..." until the load succeeds or fails again
+  failure.overlay.view.webContents.send('load-error:changed');
+  window.webContents.loadURL(failure.url);
+}
+
+function clearLoadFailure(window) {
+  const failure = loadFailures.get(window);
+  if (!failure) {
+    return;
+  }
+  loadFailures.delete(window);
+  clearTimeout(failure.timer);
+  removeOverlayView(window, failure.overlay);
+  updateTrayTooltip();
+}
+
+// Chromium has no connectivity events in the main process, so poll
+function checkConnectivity() {
+  const online = net.isOnline();
+  if (online === networkOnline) {
+    return;
+  }
+  networkOnline = online;
+  if (online) {
+    for (const window of loadFailures.keys()) {
+      retryLoad(window);
+    }
+  }
+  updateTrayTooltip();
+}
+
+// Renderer crashes and hangs: reload the chat automatically, keep a report, and ask when it keeps crashing
+
+function getRendererRecovery(window) {
+  if (!rendererRecoveries.has(window)) {
+    rendererRecoveries.set(window, { crashes: [], hangDialog: null, killedForHang: false });
+  }
+  return rendererRecoveries.get(window);
+}
+
+// The chat that was open, or a new one when the page wasn't Gemini
+function getRecoveryUrl(window) {
+  const url = window.webContents.getURL();
+  return url.startsWith('https://gemini.google.com/') ? url : GEMINI_URL;
+}
+
+// JSON summary next to Chromium's minidumps; only the newest MAX_CRASH_REPORTS are kept
+function writeCrashReport({ kind, reason, exitCode = null, url }) {
+  const time = new Date().toISOString();
+  let page = '';
+  try {
+    const parsed = new URL(url);
+    page = parsed.origin + parsed.pathname;  // Query strings can hold prompt text
+  } catch {
+    // Not a URL; leave it out
+  }
+  const report = {
+    time,
+    kind,
+    reason,
+    exitCode,
+    page,
+    appVersion: app.getVersion(),
+    electron: process.versions.electron,
+    chrome: process.versions.chrome,
+    os: `${process.platform} ${process.getSystemVersion()} ${process.arch}`,
+    uptimeSeconds: Math.round(process.uptime()),
+    chatWindows: chatWindows.size
+  };
+
+  try {
+    fs.mkdirSync(crashReportDir, { recursive: true });
+    fs.writeFileSync(path.join(crashReportDir, `${time.replace(/[:.]/g, '-')}-${kind}.json`), JSON.stringify(report, null, 2));
+    const reports = fs.readdirSync(crashReportDir).filter(name => name.endsWith('.json')).sort();
+    for (const name of reports.slice(0, Math.max(0, reports.length - MAX_CRASH_REPORTS))) {
+      fs.unlinkSync(path.join(crashReportDir, name));
+    }
+  } catch (error) {
+    log.error('Could not write crash report:', error);
+  }
+}
+
+function handleRendererGone(window, details) {
+  if (isQuitting || window.isDestroyed() || details.reason === 'clean-exit') {
+    return;
+  }
+  const recovery = getRendererRecovery(window);
+  const url = getRecoveryUrl(window);
+
+  // Killed on purpose after the user chose to reload a hung page (already reported)
+  if (recovery.killedForHang) {
+    recovery.killedForHang = false;
+    window.webContents.loadURL(url);
+    return;
+  }
+
+  log.error(`Chat window renderer gone (${details.reason}, exit code ${details.exitCode})`);
+  writeCrashReport({ kind: 'crash', reason: details.reason, exitCode: details.exitCode, url });
+
+  const now = Date.now();
+  recovery.crashes = recovery.crashes.filter(time => now - time < CRASH_LOOP_PERIOD).concat(now);
+  if (recovery.crashes.length < CRASH_LOOP_LIMIT) {
+    window.webContents.loadURL(url);
+    return;
+  }
+
+  // Reloading doesn't help; let the user decide instead of looping
+  const { dialog } = require('electron');
+  dialog.showMessageBox(window, {
+    type: 'error',
+    buttons: ['Reload', 'Start New Chat', 'Close Window'],
+    defaultId: 0,
+    cancelId: 2,
+    title: 'Gemini Crashed',
+    message: 'The Gemini page keeps crashing.',
+    detail: `Reason: ${details.reason}. Crash reports are saved in ${crashReportDir}.`
+  }).then(({ response }) => {
+    if (window.isDestroyed()) {
+      return;
+    }
+    recovery.crashes = [];
+    if (response === 2) {
+      window.close();
+    } else {
+      window.webContents.loadURL(response === 0 ? url : GEMINI_URL);
+    }
+  });
+}
+
+// Offer to reload a hung page; the question goes away by itself if the page recovers
+function handleUnresponsive(window) {
+  const recovery = getRendererRecovery(window);
+  if (recovery.hangDialog || isQuitting) {
+    return;
+  }
+  recovery.hangDialog = new AbortController();
+
+  const { dialog } = require('electron');
+  dialog.showMessageBox(window, {
+    type: 'warning',
+    buttons: ['Wait', 'Reload'],
+    defaultId: 0,
+    cancelId: 0,
+    title: 'Gemini Is Not Responding',
+    message: 'The Gemini page is not responding.',
+    detail: 'You can wait for it or reload it. The prompt you were typing is restored after the reload.',
+    signal: recovery.hangDialog.signal
+  }).then(({ response }) => {
+    recovery.hangDialog = null;
+    if (response === 1 && !window.isDestroyed()) {
+      writeCrashReport({ kind: 'hang', reason: 'unresponsive', url: getRecoveryUrl(window) });
+      // A hung renderer can't reload itself; render-process-gone loads the page again
+      recovery.killedForHang = true;
+      window.webContents.forcefullyCrashRenderer();
+    }
+  });
+}
+
+function handleResponsive(window) {
+  const recovery = getRendererRecovery(window);
+  if (recovery.hangDialog) {
+    recovery.hangDialog.abort();  // Resolves as "Wait"
+  }
+}
+
+// Prompt drafts: unsent prompt text per profile and chat, sent by the preload while typing.
+// Only written to disk when system encryption is available, like the archive.
+
+function loadPromptDrafts() {
+  if (!promptDrafts) {
+    const stored = secureStore.isAvailable() ? secureStore.load(draftsPath, {}) : {};
+    promptDrafts = stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  }
+  return promptDrafts;
+}
+
+let promptDraftsSaveTimer = null;
+function savePromptDrafts() {
+  clearTimeout(promptDraftsSaveTimer);
+  promptDraftsSaveTimer = null;
+  if (promptDrafts && secureStore.isAvailable()) {
+    secureStore.save(draftsPath, promptDrafts);
+  }
+}
+
+function savePromptDraftsSoon() {
+  clearTimeout(promptDraftsSaveTimer);
+  promptDraftsSaveTimer = setTimeout(savePromptDrafts, 2000);
+}
+
+// An empty text removes the draft (the prompt was sent or cleared)
+function setPromptDraft(profileId, { key, text } = {}) {
+  if (typeof key !== 'string' || !/^[\w-]{1,128}$/.test(key) || typeof text !== 'string') {
+    return;
+  }
+  const drafts = loadPromptDrafts();
+  const profileDrafts = drafts[profileId] || (drafts[profileId] = {});
+  if (text.trim()) {
+    profileDrafts[key] = { text: text.slice(0, MAX_DRAFT_LENGTH), savedAt: Date.now() };
+    const newestFirst = Object.keys(profileDrafts).sort((a, b) => profileDrafts[b].savedAt - profileDrafts[a].savedAt);
+    for (const oldKey of newestFirst.slice(MAX_DRAFTS_PER_PROFILE)) {
+      delete profileDrafts[oldKey];
+    }
+  } else if (profileDrafts[key]) {
+    delete profileDrafts[key];
+  } else {
+    return;
+  }
+  savePromptDraftsSoon();
+}
+
+function getPromptDraft(profileId, key) {
+  const draft = (loadPromptDrafts()[profileId] || {})[key];
+  return draft ? draft.text : '';
+}
+
+function deletePromptDrafts(profileId) {
+  if (loadPromptDrafts()[profileId]) {
+    delete promptDrafts[profileId];
+    savePromptDrafts();
+  }
+}
+
+// Downloads: saved to the download folder (or wherever the user picks) and listed in the Downloads window
+
+function getDownloadDirectory() {
+  return settings.downloadDirectory || app.getPath('downloads');
+}
+
+function loadDownloadHistory() {
+  if (!downloadHistory) {
+    const stored = secureStore.load(downloadHistoryPath, []);
+    // Downloads still running at the last exit were cut off
+    downloadHistory = (Array.isArray(stored) ? stored : [])
+      .filter(entry => entry && typeof entry.id === 'string' && typeof entry.savePath === 'string')
+      .map(entry => entry.state === 'progressing' ? { ...entry, state: 'interrupted' } : entry);
+  }
+  return downloadHistory;
+}
+
+let downloadHistorySaveTimer = null;
+function saveDownloadHistory() {
+  clearTimeout(downloadHistorySaveTimer);
+  downloadHistorySaveTimer = null;
+  if (downloadHistory) {
+    secureStore.save(downloadHistoryPath, downloadHistory);
+  }
+}
+
+function saveDownloadHistorySoon() {
+  clearTimeout(downloadHistorySaveTimer);
+  downloadHistorySaveTimer = setTimeout(saveDownloadHistory, 1000);
+}
+
+let downloadsNotifyTimer = null;
+function notifyDownloadsWindow() {
+  if (!downloadsWindow || downloadsNotifyTimer) {
+    return;
+  }
+  downloadsNotifyTimer = setTimeout(() => {
+    downloadsNotifyTimer = null;
+    if (downloadsWindow) {
+      downloadsWindow.webContents.send('downloads:changed');
+    }
+  }, 250);
+}
+
+// Taskbar progress of each chat window for the downloads it started, plus the tray tooltip
+function updateDownloadProgress() {
+  const history = loadDownloadHistory();
+  for (const window of chatWindows) {
+    const started = history.filter(entry => activeDownloads.has(entry.id) && activeDownloads.get(entry.id).window === window);
+    const { count, fraction } = downloads.summarizeProgress(started);
+    window.setProgressBar(count === 0 ? -1 : fraction < 0 ? 2 : fraction);  // Above 1 shows an indeterminate bar
+  }
+  updateTrayTooltipSoon();
+  notifyDownloadsWindow();
+}
+
+// Paths of running downloads count as taken, since their files only appear when they finish
+function isDownloadPathTaken(filePath) {
+  return fs.existsSync(filePath) ||
+    [...activeDownloads.values()].some(({ item }) => item.getSavePath() === filePath);
+}
+
+function handleDownload(item, webContents) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const fileName = downloads.sanitizeFileName(item.getFilename());
+  const directory = getDownloadDirectory();
+
+  let useDialog = settings.askWhereToSave;
+  if (!useDialog) {
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+      item.setSavePath(downloads.uniqueFilePath(directory, fileName, isDownloadPathTaken));
+    } catch (error) {
+      // e.g. the folder is on a drive that is no longer attached
+      log.error(`Cannot save to ${directory}:`, error);
+      useDialog = true;
+    }
+  }
+  if (useDialog) {
+    // Electron shows the dialog before the download starts; cancelling it cancels the download
+    item.setSaveDialogOptions({ title: 'Save Download', defaultPath: path.join(directory, fileName) });
+  }
+
+  const entry = {
+    id,
+    fileName,
+    savePath: item.getSavePath(),
+    source: downloads.describeSource(item.getURL()),
+    totalBytes: item.getTotalBytes(),
+    receivedBytes: 0,
+    state: 'progressing',
+    startedAt: Date.now(),
+    finishedAt: null
+  };
+  const history = loadDownloadHistory();
+  history.unshift(entry);
+  history.splice(DOWNLOAD_HISTORY_SIZE);
+  activeDownloads.set(id, { item, window: BrowserWindow.fromWebContents(webContents) });
+
+  const refresh = () => {
+    if (item.getSavePath()) {
+      entry.savePath = item.getSavePath();
+      entry.fileName = path.basename(entry.savePath);
+    }
+    entry.totalBytes = item.getTotalBytes();
+    entry.receivedBytes = item.getReceivedBytes();
+  };
+
+  item.on('updated', () => {
+    refresh();
+    updateDownloadProgress();
+  });
+  item.once('done', (event, state) => {
+    refresh();
+    activeDownloads.delete(id);
+    entry.state = state;
+    entry.finishedAt = Date.now();
+    if (state === 'cancelled' && !entry.savePath) {
+      // The save dialog was dismissed; nothing was downloaded
+      history.splice(history.indexOf(entry), 1);
+    } else if (state === 'completed') {
+      notifyDownloadComplete(entry);
+    }
+    saveDownloadHistory();
+    updateDownloadProgress();
+  });
+
+  saveDownloadHistorySoon();
+  updateDownloadProgress();
+}
+
+function notifyDownloadComplete(entry) {
+  if (!Notification.isSupported() || (downloadsWindow && downloadsWindow.isFocused())) {
+    return;
+  }
+  const notification = new Notification({
+    title: 'Download complete',
+    body: appLocked ? '' : entry.fileName,  // File names can be as private as the chat
+    icon: path.join(__dirname, 'assets', 'icon.png')
+  });
+  activeNotifications.add(notification);
+  notification.on('click', () => {
+    if (appLocked) {
+      showMainWindow();
+    } else {
+      shell.showItemInFolder(entry.savePath);
+    }
+  });
+  notification.on('close', () => activeNotifications.delete(notification));
+  notification.show();
+}
+
+function findDownload(id) {
+  return loadDownloadHistory().find(entry => entry.id === id) || null;
+}
+
+function showDownloadsWindow() {
+  if (downloadsWindow) {
+    downloadsWindow.show();
+    downloadsWindow.focus();
+    return;
+  }
+
+  downloadsWindow = new BrowserWindow({
+    width: 640,
+    height: 520,
+    minWidth: 480,
+    minHeight: 320,
+    title: 'Downloads',
+    icon: path.join(__dirname, 'assets', 'icon.png'),
+    show: false,
+    webPreferences: {
+      preload: path.join(__dirname, 'pages', 'downloads-preload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      webSecurity: true,
+      sandbox: true,
+      webviewTag: false,
+      navigateOnDragDrop: false,
+    },
+  });
+  downloadsWindow.setMenu(null);
+
+  const ipc = downloadsWindow.webContents.ipc;
+  ipc.handle('downloads:get', () => ({
+    entries: loadDownloadHistory().map(entry => ({
+      ...entry,
+      exists: entry.state === 'completed' && fs.existsSync(entry.savePath)
+    })),
+    directory: getDownloadDirectory(),
+    askWhereToSave: settings.askWhereToSave,
+    managed: {
+      directory: isManagedSetting('downloadDirectory'),
+      askWhereToSave: isManagedSetting('askWhereToSave')
+    }
+  }));
+  // Resolves to an error message, or '' when the file was opened
+  ipc.handle('downloads:open', (event, id) => {
+    const entry = findDownload(id);
+    return entry && entry.state === 'completed' ? shell.openPath(entry.savePath) : 'The download is not finished.';
+  });
+  ipc.handle('downloads:reveal', (event, id) => {
+    const entry = findDownload(id);
+    if (entry && entry.savePath) {
+      shell.showItemInFolder(entry.savePath);
+    }
+  });
+  ipc.handle('downloads:cancel', (event, id) => {
+    const active = activeDownloads.get(id);
+    if (active) {
+      active.item.cancel();
+    }
+  });
+  ipc.handle('downloads:remove', (event, id) => {
+    const history = loadDownloadHistory();
+    const index = history.findIndex(entry => entry.id === id);
+    if (index !== -1 && !activeDownloads.has(id)) {
+      history.splice(index, 1);
+      saveDownloadHistory();
+      notifyDownloadsWindow();
+    }
+  });
+  ipc.handle('downloads:clear', () => {
+    downloadHistory = loadDownloadHistory().filter(entry => activeDownloads.has(entry.id));
+    saveDownloadHistory();
+    notifyDownloadsWindow();
+  });
+  ipc.handle('downloads:open-folder', () => shell.openPath(getDownloadDirectory()));
+  ipc.handle('downloads:choose-folder', async () => {
+    const { dialog } = require('electron');
+    const { canceled, filePaths } = await dialog.showOpenDialog(downloadsWindow, {
+      title: 'Choose Download Folder',
+      defaultPath: getDownloadDirectory(),
+      properties: ['openDirectory', 'createDirectory']
+    });
+    if (canceled || filePaths.length === 0) {
+      return { valid: true };
+    }
+    return updateSetting('downloadDirectory', filePaths[0]);
+  });
+  ipc.handle('downloads:reset-folder', () => updateSetting('downloadDirectory', ''));
+  ipc.handle('downloads:set-ask', (event, ask) => updateSetting('askWhereToSave', ask === true));
+
+  downloadsWindow.once('ready-to-show', () => downloadsWindow.show());
+  downloadsWindow.on('closed', () => {
+    downloadsWindow = null;
+  });
+  downloadsWindow.loadFile(path.join(__dirname, 'pages', 'downloads.html'));
+}
+
+// Profiles: each named profile is backed by its own persistent session
+function getProfile(profileId = settings.activeProfile) {
+  return settings.profiles.find(profile => profile.id === profileId) || settings.profiles[0];
+}
+
+function getProfileSession(profileId = settings.activeProfile) {
+  const ses = profileId === DEFAULT_PROFILE_ID
+    ? session.defaultSession
+    : session.fromPartition(`persist:profile-${profileId}`);
+  configureSecureSession(ses, profileId);
+  return ses;
+}
+
+// Recreate the main window on the chosen profile's session
+function switchProfile(profileId) {
+  if (profileId === settings.activeProfile || !settings.profiles.some(profile => profile.id === profileId)) {
+    return;
+  }
+
+  // Each profile keeps its own chats: remember the ones open now and reopen the new profile's
+  const previousWindows = [...chatWindows];
+  getProfile().openChats = getOpenChatUrls();
+  settings.activeProfile = profileId;
+  const profile = getProfile();
+  settings.openChats = profile.openChats && profile.openChats.length > 0 ? profile.openChats : [GEMINI_URL];
+  delete profile.openChats;
+  saveSettings(settings);
+
+  // Create the replacements first so window-all-closed never fires
+  const hidden = !previousWindows.some(window => window.isVisible());
+  settings.openChats.forEach((url, index) => createWindow({ url, hidden, cascade: index > 0 }));
+  for (const window of previousWindows) {
+    window.destroy();
+  }
+
+  updateTrayMenu();
+  if (archiveWindow) {
+    archiveWindow.webContents.send('archive:changed');
+  }
+  notifyNetworkWindow();
+  if (proxyWindow) {
+    proxyWindow.webContents.send('proxy:changed');
+  }
+  log.info(`Switched to profile: ${getProfile().name}`);
+}
+
+function isValidProfileName(name, ignoreId = null) {
+  return name.length > 0 && !settings.profiles.some(profile =>
+    profile.id !== ignoreId && profile.name.toLowerCase() === name.toLowerCase()
+  );
+}
+
+async function addProfile() {
+  const name = await showTextPrompt({
+    title: 'Add Profile',
+    message: 'Name for the new profile (for example "Work"):'
+  });
+  if (name === null) {
+    return;
+  }
+  if (!isValidProfileName(name)) {
+    await showMessage('Add Profile', `A profile named "${name}" already exists or the name is empty.`);
+    return;
+  }
+
+  const profile = { id: crypto.randomBytes(4).toString('hex'), name };
+  settings.profiles.push(profile);
+  saveSettings(settings);
+  switchProfile(profile.id);
+  updateAppMenu();
+}
+
+async function renameProfile() {
+  const profile = getProfile();
+  const name = await showTextPrompt({
+    title: 'Rename Profile',
+    message: 'New name for this profile:',
+    value: profile.name
+  });
+  if (name === null || name === profile.name) {
+    return;
+  }
+  if (!isValidProfileName(name, profile.id)) {
+    await showMessage('Rename Profile', `A profile named "${name}" already exists or the name is empty.`);
+    return;
+  }
+
+  profile.name = name;
+  saveSettings(settings);
+  updateAppMenu();
+  updateTrayMenu();
+}
+
+// Remove a (non-active, non-default) profile and wipe its session data
+async function removeProfile(profileId) {
+  const profile = getProfile(profileId);
+  if (profileId === DEFAULT_PROFILE_ID || profileId === settings.activeProfile || profile.id !== profileId ||
+      policy.disableSignOut) {
+    return;
+  }
+
+  const { dialog } = require('electron');
+  const result = await dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    buttons: ['Cancel', 'Remove'],
+    defaultId: 0,
+    cancelId: 0,
+    title: 'Remove Profile',
+    message: `Remove the profile "${profile.name}"?`,
+    detail: 'Its login data, cookies, and cached information will be deleted.'
+  });
+  if (result.response !== 1) {
+    return;
+  }
+
+  const ses = getProfileSession(profileId);
+  await ses.clearStorageData();
+  await ses.clearCache();
+  await ses.clearAuthCache();
+  deleteArchive(profileId);
+  deletePromptDrafts(profileId);
+  blockedRequestLogs.delete(profileId);
+  saveProxyCredentials(profileId, null);
+
+  settings.profiles = settings.profiles.filter(item => item.id !== profileId);
+  saveSettings(settings);
+  updateAppMenu();
+  updateTrayMenu();
+}
+
+// Conversation archive (per profile, encrypted with safeStorage like the settings)
+const archives = new Map();  // profileId -> { data, saveTimer }
+
+function getArchivePath(profileId) {
+  return path.join(archiveDir, `${profileId}.enc`);
+}
+
+function loadArchive(profileId = settings.activeProfile) {
+  if (!archives.has(profileId)) {
+    const data = conversationArchive.normalizeArchive(secureStore.load(getArchivePath(profileId), null));
+    archives.set(profileId, { data, saveTimer: null });
+  }
+  return archives.get(profileId).data;
+}
+
+function saveArchive(profileId) {
+  const entry = archives.get(profileId);
+  if (!entry) {
+    return;
+  }
+  clearTimeout(entry.saveTimer);
+  entry.saveTimer = null;
+  if (!fs.existsSync(archiveDir)) {
+    fs.mkdirSync(archiveDir, { recursive: true });
+  }
+  secureStore.save(getArchivePath(profileId), entry.data);
+}
+
+// Snapshots arrive often while a chat is open, so batch the writes
+function saveArchiveSoon(profileId) {
+  const entry = archives.get(profileId);
+  if (entry && !entry.saveTimer) {
+    entry.saveTimer = setTimeout(() => saveArchive(profileId), 5000);
+  }
+}
+
+function flushArchives() {
+  for (const [profileId, entry] of archives) {
+    if (entry.saveTimer) {
+      saveArchive(profileId);
+    }
+  }
+}
+
+function deleteArchive(profileId) {
+  const entry = archives.get(profileId);
+  if (entry) {
+    clearTimeout(entry.saveTimer);
+    archives.delete(profileId);
+  }
+  secureStore.delete(getArchivePath(profileId));
+}
+
+// Never archive without encryption: chats are more sensitive than settings
+function isArchivingActive(profileId = settings.activeProfile) {
+  return settings.archiveEnabled && !getProfile(profileId).neverArchive && secureStore.isAvailable();
+}
+
+function archiveSnapshot(profileId, snapshot) {
+  const archive = loadArchive(profileId);
+  if (!conversationArchive.upsertConversation(archive, snapshot)) {
+    return;
+  }
+  const removed = conversationArchive.enforceSizeLimit(archive, settings.archiveMaxSizeMB * 1024 * 1024);
+  if (removed > 0) {
+    log.info(`Archive size limit reached; dropped ${removed} old conversation(s)`);
+  }
+  saveArchiveSoon(profileId);
+}
+
+// Tell the page whether to send snapshots
+// Each chat window archives for the profile its session belongs to
+function syncArchiveState() {
+  for (const window of chatWindows) {
+    const profileId = sessionProfileIds.get(window.webContents.session) || settings.activeProfile;
+    window.webContents.send('gemini:archive-state', isArchivingActive(profileId));
+  }
+}
+
+function setNeverArchiveProfile(neverArchive) {
+  getProfile().neverArchive = neverArchive;
+  saveSettings(settings);
+  syncArchiveState();
+  updateAppMenu();
+}
+
+async function purgeArchive() {
+  const profile = getProfile();
+  const { dialog } = require('electron');
+  const result = await dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    buttons: ['Cancel', 'Purge'],
+    defaultId: 0,
+    cancelId: 0,
+    title: 'Purge Archive',
+    message: `Delete all archived conversations for the "${profile.name}" profile?`,
+    detail: 'This only affects the local archive. Your chat history on Google is not changed.'
+  });
+  if (result.response === 1) {
+    deleteArchive(profile.id);
+    if (archiveWindow) {
+      archiveWindow.webContents.send('archive:changed');
+    }
+  }
+}
+
+// Search window for the active profile's archive
+function showArchiveWindow() {
+  if (archiveWindow) {
+    archiveWindow.show();
+    archiveWindow.focus();
+    return;
+  }
+
+  archiveWindow = new BrowserWindow({
+    width: 1000,
+    height: 700,
+    minWidth: 600,
+    minHeight: 400,
+    title: 'Conversation Archive',
+    icon: path.join(__dirname, 'assets', 'icon.png'),
+    show: false,
+    webPreferences: {
+      preload: path.join(__dirname, 'pages', 'archive-preload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      webSecurity: true,
+      sandbox: true,
+      webviewTag: false,
+      navigateOnDragDrop: false,
+    },
+  });
+  archiveWindow.setMenu(null);
+
+  const ipc = archiveWindow.webContents.ipc;
+  ipc.handle('archive:info', () => ({
+    profileName: getProfile().name,
+    enabled: isArchivingActive(),
+    encryptionAvailable: secureStore.isAvailable(),
+    count: Object.keys(loadArchive().conversations).length
+  }));
+  ipc.handle('archive:search', (event, query) =>
+    conversationArchive.searchArchive(loadArchive(), typeof query === 'string' ? query : '')
+  );
+  // Only ids the archive really holds, so names like __proto__ never reach the lookup
+  const isArchivedChat = (archive, chatId) => typeof chatId === 'string' && Object.hasOwn(archive.conversations, chatId);
+  ipc.handle('archive:get', (event, chatId) => {
+    const archive = loadArchive();
+    return isArchivedChat(archive, chatId) ? archive.conversations[chatId] : null;
+  });
+  ipc.handle('archive:delete', (event, chatId) => {
+    const archive = loadArchive();
+    if (isArchivedChat(archive, chatId)) {
+      conversationArchive.removeConversation(archive, chatId);
+      saveArchive(settings.activeProfile);
+    }
+  });
+  ipc.on('archive:open', (event, chatId) => {
+    if (typeof chatId === 'string' && /^[A-Za-z0-9_-]+$/.test(chatId)) {
+      showMainWindow();
+      mainWindow.loadURL(`${GEMINI_URL}/${chatId}`);
+    }
+  });
+
+  archiveWindow.once('ready-to-show', () => archiveWindow.show());
+  archiveWindow.on('closed', () => {
+    archiveWindow = null;
+  });
+  archiveWindow.loadFile(path.join(__dirname, 'pages', 'archive.html'));
+}
+
+// Prompt library
+function findPromptTemplate(id) {
+  return settings.promptTemplates.find(template => template.id === id);
+}
+
+// Fill in a template and put it in the prompt box (without sending, so it can be reviewed)
+function insertPromptTemplate(template, values = {}) {
+  const text = promptTemplates.fillTemplate(template.body, values);
+  sendPromptToGemini(text, { newChat: false, submit: false });
+}
+
+// Templates without placeholders go straight in; others need values from the library window
+function usePromptTemplate(id) {
+  const template = findPromptTemplate(id);
+  if (!template) {
+    return;
+  }
+  if (promptTemplates.extractPlaceholders(template.body).length === 0) {
+    insertPromptTemplate(template);
+  } else {
+    showPromptsWindow(id);
+  }
+}
+
+function savePromptTemplates() {
+  saveSettings(settings);
+  updateAppMenu();
+}
+
+function showPromptsWindow(selectId = null) {
+  if (promptsWindow) {
+    promptsWindow.show();
+    promptsWindow.focus();
+    if (selectId) {
+      promptsWindow.webContents.send('prompts:select', selectId);
+    }
+    return;
+  }
+
+  promptsWindow = new BrowserWindow({
+    width: 820,
+    height: 560,
+    minWidth: 600,
+    minHeight: 400,
+    title: 'Prompt Library',
+    icon: path.join(__dirname, 'assets', 'icon.png'),
+    show: false,
+    webPreferences: {
+      preload: path.join(__dirname, 'pages', 'prompts-preload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      webSecurity: true,
+      sandbox: true,
+      webviewTag: false,
+      spellcheck: true,
+      navigateOnDragDrop: false,
+    },
+  });
+  promptsWindow.setMenu(null);
+
+  const ipc = promptsWindow.webContents.ipc;
+  ipc.handle('prompts:list', () => ({ templates: settings.promptTemplates, selectId, managed: isManagedSetting('promptTemplates') }));
+  ipc.handle('prompts:save', (event, template) => {
+    if (isManagedSetting('promptTemplates')) {
+      throw new Error('Prompt templates are managed by your administrator');
+    }
+    if (!template || typeof template.name !== 'string' || typeof template.body !== 'string') {
+      throw new Error('Invalid template');
+    }
+    const name = template.name.trim().slice(0, 100);
+    const body = template.body.slice(0, 20000);
+    if (!name) {
+      throw new Error('The template needs a name');
+    }
+
+    const existing = typeof template.id === 'string' && findPromptTemplate(template.id);
+    if (existing) {
+      existing.name = name;
+      existing.body = body;
+    } else {
+      settings.promptTemplates.push({ id: crypto.randomBytes(4).toString('hex'), name, body });
+    }
+    savePromptTemplates();
+    return existing ? existing.id : settings.promptTemplates[settings.promptTemplates.length - 1].id;
+  });
+  ipc.handle('prompts:delete', (event, id) => {
+    if (isManagedSetting('promptTemplates')) {
+      throw new Error('Prompt templates are managed by your administrator');
+    }
+    settings.promptTemplates = settings.promptTemplates.filter(template => template.id !== id);
+    savePromptTemplates();
+  });
+  ipc.on('prompts:insert', (event, { id, values } = {}) => {
+    const template = findPromptTemplate(id);
+    if (template) {
+      insertPromptTemplate(template, values && typeof values === 'object' ? values : {});
+    }
+  });
+
+  promptsWindow.once('ready-to-show', () => promptsWindow.show());
+  promptsWindow.on('closed', () => {
+    promptsWindow = null;
+  });
+  promptsWindow.loadFile(path.join(__dirname, 'pages', 'prompts.html'));
+}
+
+// Preferences window (edits the settings described by the schema)
+function showPreferencesWindow() {
+  if (preferencesWindow) {
+    preferencesWindow.show();
+    preferencesWindow.focus();
+    return;
+  }
+
+  preferencesWindow = new BrowserWindow({
+    width: 560,
+    height: 520,
+    minWidth: 480,
+    minHeight: 360,
+    title: 'Preferences',
+    icon: path.join(__dirname, 'assets', 'icon.png'),
+    show: false,
+    webPreferences: {
+      preload: path.join(__dirname, 'pages', 'preferences-preload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      webSecurity: true,
+      sandbox: true,
+      webviewTag: false,
+      navigateOnDragDrop: false,
+    },
+  });
+  preferencesWindow.setMenu(null);
+
+  const ipc = preferencesWindow.webContents.ipc;
+  ipc.handle('preferences:get', () => {
+    const fields = settingsSchema.describeEditableSettings();
+    return {
+      fields,
+      values: Object.fromEntries(fields.map(field => [field.key, settings[field.key]])),
+      managed: fields.map(field => field.key).filter(isManagedSetting),
+      platform: process.platform
+    };
+  });
+  ipc.handle('preferences:set', (event, key, value) => {
+    // Only settings shown in the window can be changed from it
+    if (!settingsSchema.describeEditableSettings().some(field => field.key === key)) {
+      return { valid: false, error: 'unknown setting' };
+    }
+    return updateSetting(key, value);
+  });
+
+  preferencesWindow.once('ready-to-show', () => preferencesWindow.show());
+  preferencesWindow.on('closed', () => {
+    preferencesWindow = null;
+  });
+  preferencesWindow.loadFile(path.join(__dirname, 'pages', 'preferences.html'));
+}
+
+// Radio items for picking the active profile (shared by app and tray menus)
+function buildProfileMenuItems() {
+  return settings.profiles.map(profile => ({
+    label: profile.name,
+    type: 'radio',
+    checked: profile.id === settings.activeProfile,
+    click: () => switchProfile(profile.id)
+  }));
+}
+
+// View > Tracker Blocking: master switch, one toggle per filter list, and folder actions
+function buildTrackerBlockingMenuItems() {
+  const listItems = filterLists.map(list => {
+    const enabled = !settings.disabledFilterLists.includes(list.id);
+    let detail = '';
+    if (list.error) {
+      detail = ' (failed to load)';
+    } else if (settings.trackerBlockingEnabled && enabled) {
+      detail = ` (${list.rules} rules)`;
+    }
+    return {
+      label: `${list.id.startsWith('builtin/') ? `${list.name} (built-in)` : list.name}${detail}`,
+      type: 'checkbox',
+      checked: enabled,
+      enabled: settings.trackerBlockingEnabled && !isManagedSetting('disabledFilterLists'),
+      click: (menuItem) => setFilterListEnabled(list.id, menuItem.checked)
+    };
+  });
+
+  return [
+    {
+      label: 'Block Trackers',
+      type: 'checkbox',
+      checked: settings.trackerBlockingEnabled,
+      enabled: !isManagedSetting('trackerBlockingEnabled'),
+      click: (menuItem) => updateSetting('trackerBlockingEnabled', menuItem.checked)
+    },
+    { type: 'separator' },
+    ...(listItems.length > 0 ? listItems : [{ label: 'No filter lists found', enabled: false }]),
+    { type: 'separator' },
+    {
+      label: 'Reload Filter Lists',
+      click: () => loadFilterLists()
+    },
+    {
+      label: 'Open Filter Lists Folder',
+      click: () => {
+        fs.mkdirSync(filterListDir, { recursive: true });
+        shell.openPath(filterListDir);
+      }
+    }
+  ];
+}
+
+// Ask the user for a line of text; resolves to null when cancelled
+function showTextPrompt({ title, message, value = '' }) {
+  return new Promise((resolve) => {
+    const parent = mainWindow && mainWindow.isVisible() ? mainWindow : undefined;
+    const promptWindow = new BrowserWindow({
+      width: 420,
+      height: 170,
+      parent,
+      modal: !!parent,
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      title,
+      show: false,
+      webPreferences: {
+        preload: path.join(__dirname, 'pages', 'text-prompt-preload.js'),
+        nodeIntegration: false,
+        contextIsolation: true,
+        webSecurity: true,
+        sandbox: true,
+        webviewTag: false,
+        navigateOnDragDrop: false,
+      },
+    });
+
+    let result = null;
+    promptWindow.setMenu(null);
+    promptWindow.webContents.ipc.handle('text-prompt:get-options', () => ({ message, value }));
+    promptWindow.webContents.ipc.on('text-prompt:submit', (event, text) => {
+      result = typeof text === 'string' ? text.trim() : null;
+      promptWindow.close();
+    });
+    promptWindow.webContents.ipc.on('text-prompt:cancel', () => {
+      promptWindow.close();
+    });
+
+    promptWindow.once('ready-to-show', () => promptWindow.show());
+    promptWindow.on('closed', () => resolve(result));
+    promptWindow.loadFile(path.join(__dirname, 'pages', 'text-prompt.html'));
+  });
+}
+
+function showMessage(title, message, type = 'info') {
+  const { dialog } = require('electron');
+  return dialog.showMessageBox(mainWindow, { type, title, message, buttons: ['OK'] });
+}
+
+// Security: Check if system encryption is available
+function checkEncryptionAvailable() {
+  const available = safeStorage.isEncryptionAvailable();
+  const platform = process.platform;
+  
+  if (available) {
+    log.info('✓ System encryption is available');
+    if (platform === 'win32') {
+      log.info('  - Settings will be encrypted using Windows DPAPI');
+      log.info('  - Data is tied to this Windows user account');
+    } else if (platform === 'darwin') {
+      log.info('  - Settings will be encrypted using macOS Keychain');
+      log.info('  - Data is tied to this macOS user account');
+    } else {
+      log.info('  - Settings will be encrypted using system keyring (libsecret)');
+      log.info('  - Data is tied to this Linux user account');
+    }
+    return true;
+  } else {
+    log.warn('⚠ System encryption is NOT available');
+    log.warn('  - Settings will be stored in plain text');
+    if (platform === 'linux') {
+      log.warn('  - Install gnome-keyring or kwallet for encrypted storage');
+    } else {
+      log.warn('  - Consider running on a newer OS or with proper keychain access');
+    }
+    return false;
+  }
+}
+
+// Create system tray
+function createTray() {
+  // Create tray icon (use a simple icon or the app icon)
+  const iconPath = path.join(__dirname, 'assets', 'icon.png');
+  let trayIcon;
+  
+  try {
+    if (fs.existsSync(iconPath)) {
+      trayIcon = nativeImage.createFromPath(iconPath);
+      trayIcon = trayIcon.resize({ width: 16, height: 16 });
+    } else {
+      // Create a simple default icon if no icon file exists
+      trayIcon = nativeImage.createEmpty();
+    }
+  } catch (error) {
+    trayIcon = nativeImage.createEmpty();
+  }
+
+  // Same icon with a dot for unread answers
+  let unreadIcon = trayIcon;
+  if (!trayIcon.isEmpty()) {
+    const size = trayIcon.getSize();
+    unreadIcon = nativeImage.createFromBitmap(addBadge(trayIcon.toBitmap(), size.width, size.height), size);
+  }
+  trayIcons = { normal: trayIcon, unread: unreadIcon };
+  
+  tray = new Tray(trayIcon);
+  updateTrayTooltip();
+  
+  updateTrayMenu();
+  
+  // Double-click to show window (the one with the newest unread answer first)
+  tray.on('double-click', () => {
+    const unread = [...unreadChatWindows].pop();
+    if (unread) {
+      focusChatWindow(unread);
+    } else if (mainWindow) {
+      mainWindow.show();
+      mainWindow.focus();
+    }
+  });
+}
+
+function updateTrayTooltip() {
+  if (!tray) {
+    return;
+  }
+  const lines = ['Gemini Desktop'];
+  if (!networkOnline) {
+    lines.push('Offline');
+  } else if (loadFailures.size > 0) {
+    lines.push('Can\'t reach Gemini, retrying');
+  }
+  if (unreadChatWindows.size > 0) {
+    lines.push(`${unreadChatWindows.size} new answer${unreadChatWindows.size === 1 ? '' : 's'}`);
+  }
+  if (trackerFilter) {
+    lines.push(`Blocked ${blockedTrackerCount} tracker${blockedTrackerCount === 1 ? '' : 's'}`);
+  }
+  const download = downloads.summarizeProgress(downloadHistory || []);
+  if (download.count > 0) {
+    const percent = download.fraction < 0 ? '' : ` (${Math.round(download.fraction * 100)}%)`;
+    lines.push(`Downloading ${download.count} file${download.count === 1 ? '' : 's'}${percent}`);
+  }
+  tray.setToolTip(lines.join('\n'));
+}
+
+// Completion notifications and the unread tray badge
+
+function focusChatWindow(window) {
+  if (window.isDestroyed()) {
+    showMainWindow();
+    return;
+  }
+  if (window.isMinimized()) {
+    window.restore();
+  }
+  window.show();
+  window.focus();
+}
+
+function updateUnreadIndicators() {
+  if (tray) {
+    tray.setImage(unreadChatWindows.size > 0 ? trayIcons.unread : trayIcons.normal);
+  }
+  app.setBadgeCount(unreadChatWindows.size);  // macOS dock and Unity launchers
+  updateTrayTooltip();
+}
+
+function markChatWindowRead(window) {
+  if (unreadChatWindows.delete(window)) {
+    updateUnreadIndicators();
+  }
+}
+
+// An answer finished in a chat window; only interesting when the user isn't looking at it
+function handleResponseComplete(window, { title, snippet } = {}) {
+  if (window.isVisible() && window.isFocused() && !window.isMinimized()) {
+    return;
+  }
+  unreadChatWindows.delete(window);
+  unreadChatWindows.add(window);
+  updateUnreadIndicators();
+
+  if (!settings.completionNotifications || !Notification.isSupported()) {
+    return;
+  }
+  // Never put chat content on screen while the app is locked, not even the chat's title
+  const chatTitle = typeof title === 'string' && !appLocked ? title.slice(0, 100) : '';
+  const notification = new Notification({
+    title: chatTitle ? `Gemini answered: ${chatTitle}` : 'Gemini finished answering',
+    body: appLocked ? 'Unlock Gemini Desktop to read it.' : (typeof snippet === 'string' ? snippet.slice(0, 200) : ''),
+    icon: path.join(__dirname, 'assets', 'icon.png')
+  });
+  activeNotifications.add(notification);
+  notification.on('click', () => focusChatWindow(window));
+  notification.on('close', () => activeNotifications.delete(notification));
+  notification.show();
+}
+
+// Trackers are blocked in bursts while a page loads
+let trayTooltipTimer = null;
+function updateTrayTooltipSoon() {
+  if (trayTooltipTimer) {
+    return;
+  }
+  trayTooltipTimer = setTimeout(() => {
+    trayTooltipTimer = null;
+    updateTrayTooltip();
+  }, 1000);
+}
+
+// Update tray context menu
+function updateTrayMenu() {
+  if (appLocked) {
+    tray.setContextMenu(Menu.buildFromTemplate([
+      {
+        label: 'Unlock Gemini Desktop...',
+        click: () => showMainWindow()
+      },
+      { type: 'separator' },
+      {
+        label: 'Quit',
+        click: () => {
+          isQuitting = true;
+          app.quit();
+        }
+      }
+    ]));
+    return;
+  }
+
+  const contextMenu = Menu.buildFromTemplate([
+    {
+      label: 'Show Gemini Desktop',
+      click: () => {
+        if (mainWindow) {
+          mainWindow.show();
+          mainWindow.focus();
+        }
+      }
+    },
+    {
+      label: 'Quick Ask...',
+      accelerator: settings.quickAskShortcut || undefined,
+      registerAccelerator: false,
+      click: () => showQuickAsk()
+    },
+    {
+      label: appLockRecord ? 'Lock Now' : 'Set Up App Lock...',
+      click: () => appLockRecord ? lockApp() : showPassphraseDialog()
+    },
+    {
+      label: 'Profile',
+      submenu: buildProfileMenuItems()
+    },
+    { type: 'separator' },
+    {
+      label: process.platform === 'win32' ? 'Start with Windows' : 
+             process.platform === 'darwin' ? 'Start at Login' : 'Start with System',
+      type: 'checkbox',
+      checked: settings.startAtLogin,
+      enabled: !isManagedSetting('startAtLogin'),
+      click: (menuItem) => updateSetting('startAtLogin', menuItem.checked)
+    },
+    {
+      label: 'Start Minimized',
+      type: 'checkbox',
+      checked: settings.startMinimized,
+      enabled: !isManagedSetting('startMinimized'),
+      click: (menuItem) => updateSetting('startMinimized', menuItem.checked)
+    },
+    {
+      label: 'Minimize to Tray',
+      type: 'checkbox',
+      checked: settings.minimizeToTray,
+      enabled: !isManagedSetting('minimizeToTray'),
+      click: (menuItem) => updateSetting('minimizeToTray', menuItem.checked)
+    },
+    {
+      label: 'Quick Ask Shortcut',
+      enabled: !isManagedSetting('quickAskShortcut'),
+      submenu: [
+        ...quickAskShortcutPresets.map(accelerator => ({
+          label: accelerator.replace('CommandOrControl', process.platform === 'darwin' ? 'Cmd' : 'Ctrl'),
+          type: 'radio',
+          checked: settings.quickAskShortcut === accelerator,
+          click: () => updateSetting('quickAskShortcut', accelerator)
+        })),
+        { type: 'separator' },
+        {
+          label: 'Disabled',
+          type: 'radio',
+          checked: !settings.quickAskShortcut,
+          click: () => updateSetting('quickAskShortcut', '')
+        }
+      ]
+    },
+    { type: 'separator' },
+    {
+      label: 'Preferences...',
+      click: () => showPreferencesWindow()
+    },
+    { type: 'separator' },
+    {
+      label: 'Quit',
+      click: () => {
+        isQuitting = true;
+        app.quit();
+      }
+    }
+  ]);
+  
+  tray.setContextMenu(contextMenu);
+}
+
+// Command that launches this app (development runs also need the app path)
+function getLaunchCommand() {
+  const command = `"${app.getPath('exe')}"`;
+  return process.defaultApp ? `${command} "${path.resolve(process.argv[1])}"` : command;
+}
+
+// Linux .desktop entry, also declaring us as the gemini-desktop:// handler
+function buildDesktopEntry({ args = '', autostart = false } = {}) {
+  return `[Desktop Entry]
+Type=Application
+Name=Gemini Desktop
+Exec=${getLaunchCommand()}${args} %u
+Icon=${path.join(__dirname, 'assets', 'icon.png')}
+Comment=Standalone desktop app for Google Gemini
+Categories=Network;Chat;Utility;
+Terminal=false
+StartupWMClass=Gemini Desktop
+MimeType=x-scheme-handler/${PROTOCOL_SCHEME};
+${autostart ? 'X-GNOME-Autostart-enabled=true\n' : ''}`;
+}
+
+// Register the gemini-desktop:// URL scheme with the OS
+function registerProtocolHandler() {
+  if (process.platform === 'linux') {
+    // xdg needs a .desktop file in the applications directory to hand URLs to us
+    try {
+      const applicationsDir = path.join(app.getPath('home'), '.local', 'share', 'applications');
+      const desktopFile = path.join(applicationsDir, 'gemini-desktop.desktop');
+
+      if (!fs.existsSync(applicationsDir)) {
+        fs.mkdirSync(applicationsDir, { recursive: true });
+      }
+      fs.writeFileSync(desktopFile, buildDesktopEntry());
+
+      const { execFile } = require('child_process');
+      execFile('xdg-mime', ['default', 'gemini-desktop.desktop', `x-scheme-handler/${PROTOCOL_SCHEME}`], (error) => {
+        if (error) {
+          log.warn('Could not register URL scheme with xdg-mime:', error.message);
+        }
+      });
+    } catch (error) {
+      log.error('Failed to register Linux URL scheme handler:', error);
+    }
+  } else if (process.defaultApp) {
+    app.setAsDefaultProtocolClient(PROTOCOL_SCHEME, process.execPath, [path.resolve(process.argv[1])]);
+  } else {
+    app.setAsDefaultProtocolClient(PROTOCOL_SCHEME);
+  }
+}
+
+// Open a gemini-desktop:// link
+//   gemini-desktop://ask?q=<text>           pre-fill a new chat (links come from anywhere, so never send it)
+//   gemini-desktop://chat/<id>              open an existing chat
+//   gemini-desktop://new                    start a new chat
+function openDeepLink(link) {
+  if (appLocked) {
+    whenUnlocked(() => openDeepLink(link));
+    return;
+  }
+
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    log.warn(`Ignoring malformed link: ${link}`);
+    return;
+  }
+  if (url.protocol !== `${PROTOCOL_SCHEME}:`) {
+    return;
+  }
+
+  // gemini-desktop://chat/abc parses as host "chat" and path "/abc"
+  const [action = '', ...rest] = `${url.host}${url.pathname}`.split('/').filter(Boolean);
+
+  if (action === 'ask') {
+    const text = (url.searchParams.get('q') || '').trim();
+    if (text) {
+      sendPromptToGemini(text, { newChat: true, submit: false });
+      return;
+    }
+  } else if (action === 'chat' && /^[A-Za-z0-9_-]+$/.test(rest[0] || '')) {
+    showMainWindow();
+    mainWindow.loadURL(`${GEMINI_URL}/${rest[0]}`);
+    return;
+  } else if (action === 'new') {
+    showMainWindow();
+    mainWindow.loadURL(GEMINI_URL);
+    return;
+  }
+
+  showMainWindow();
+}
+
+// Update auto-launch setting (cross-platform)
+function updateAutoLaunch() {
+  // Note: On Linux/SteamOS, this may require additional setup
+  // The .desktop file needs to be in ~/.config/autostart/
+  const loginSettings = {
+    openAtLogin: settings.startAtLogin,
+    path: app.getPath('exe'),
+    args: settings.startMinimized ? ['--hidden'] : []
+  };
+  
+  // On Linux, also handle autostart directory
+  if (process.platform === 'linux' && settings.startAtLogin) {
+    try {
+      const autostartDir = path.join(app.getPath('home'), '.config', 'autostart');
+      const desktopFile = path.join(autostartDir, 'gemini-desktop.desktop');
+      
+      if (!fs.existsSync(autostartDir)) {
+        fs.mkdirSync(autostartDir, { recursive: true });
+      }
+      
+      const desktopContent = buildDesktopEntry({
+        args: settings.startMinimized ? ' --hidden' : '',
+        autostart: true
+      });
+      
+      fs.writeFileSync(desktopFile, desktopContent);
+      log.info('Created autostart entry for Linux');
+    } catch (error) {
+      log.error('Failed to create Linux autostart entry:', error);
+    }
+  } else if (process.platform === 'linux' && !settings.startAtLogin) {
+    // Remove autostart file if disabled
+    try {
+      const desktopFile = path.join(app.getPath('home'), '.config', 'autostart', 'gemini-desktop.desktop');
+      if (fs.existsSync(desktopFile)) {
+        fs.unlinkSync(desktopFile);
+        log.info('Removed autostart entry for Linux');
+      }
+    } catch (error) {
+      log.error('Failed to remove Linux autostart entry:', error);
+    }
+  }
+  
+  app.setLoginItemSettings(loginSettings);
+}
+
+// Bring the main window to the front (recreating it if it was closed)
+function showMainWindow() {
+  if (!mainWindow) {
+    createWindow({ hidden: false });
+  }
+  if (mainWindow.isMinimized()) {
+    mainWindow.restore();
+  }
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+// Route a prompt into the Gemini page (the preload fills in the input box)
+function sendPromptToGemini(text, { newChat = true, submit = true } = {}) {
+  if (appLocked) {
+    whenUnlocked(() => sendPromptToGemini(text, { newChat, submit }));
+    return;
+  }
+  showMainWindow();
+
+  const deliver = () => {
+    if (mainWindow) {
+      mainWindow.webContents.send('gemini:insert-prompt', { text, submit });
+    }
+  };
+
+  if (newChat) {
+    mainWindow.webContents.once('did-finish-load', deliver);
+    mainWindow.loadURL(GEMINI_URL);
+  } else if (mainWindow.webContents.isLoading()) {
+    mainWindow.webContents.once('did-finish-load', deliver);
+  } else {
+    deliver();
+  }
+}
+
+// Ask the Gemini page's preload for data and wait for its reply on <channel>:reply
+function requestFromPage(webContents, channel, payload = {}, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const requestId = crypto.randomUUID();
+    const replyChannel = `${channel}:reply`;
+
+    const onReply = (event, reply) => {
+      if (!reply || reply.requestId !== requestId) {
+        return;
+      }
+      clearTimeout(timer);
+      webContents.ipc.removeListener(replyChannel, onReply);
+      if (reply.error) {
+        reject(new Error(reply.error));
+      } else {
+        resolve(reply.result);
+      }
+    };
+    const timer = setTimeout(() => {
+      webContents.ipc.removeListener(replyChannel, onReply);
+      reject(new Error(`Timed out waiting for ${channel}`));
+    }, timeout);
+
+    webContents.ipc.on(replyChannel, onReply);
+    webContents.send(channel, { requestId, ...payload });
+  });
+}
+
+// Export the open chat as Markdown, HTML or JSON (format follows the file extension)
+async function exportConversation() {
+  if (!mainWindow) {
+    return;
+  }
+
+  let conversation;
+  try {
+    conversation = await requestFromPage(mainWindow.webContents, 'gemini:extract-conversation');
+  } catch (error) {
+    log.error('Failed to read conversation from page:', error);
+    await showMessage('Export Conversation', 'Could not read the conversation from the page.', 'error');
+    return;
+  }
+
+  if (!conversation.turns.length) {
+    await showMessage('Export Conversation', 'There is no conversation open to export.');
+    return;
+  }
+
+  const { dialog } = require('electron');
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Conversation',
+    defaultPath: path.join(app.getPath('documents'), conversationExport.suggestFileName(conversation)),
+    filters: [
+      { name: 'Markdown', extensions: ['md'] },
+      { name: 'HTML', extensions: ['html'] },
+      { name: 'JSON', extensions: ['json'] }
+    ]
+  });
+  if (canceled || !filePath) {
+    return;
+  }
+
+  try {
+    fs.writeFileSync(filePath, conversationExport.formatConversation(conversation, filePath));
+    log.info(`Exported conversation to ${filePath}`);
+  } catch (error) {
+    log.error('Failed to export conversation:', error);
+    await showMessage('Export Conversation', `Could not write ${filePath}: ${error.message}`, 'error');
+  }
+}
+
+// Diagnostics bundle for bug reports: versions, settings, network summary, logs and crash reports,
+// all passed through a redaction step before they are zipped
+
+function collectDiagnostics() {
+  const system = {
+    exportedAt: new Date().toISOString(),
+    appVersion: app.getVersion(),
+    packaged: app.isPackaged,
+    versions: {
+      electron: process.versions.electron,
+      chrome: process.versions.chrome,
+      node: process.versions.node
+    },
+    os: `${process.platform} ${process.getSystemVersion()} ${process.arch}`,
+    locale: app.getLocale(),
+    encryptionAvailable: checkEncryptionAvailable(),
+    storageBackend: process.platform === 'linux' ? safeStorage.getSelectedStorageBackend() : null,
+    gpu: app.getGPUFeatureStatus(),
+    uptimeSeconds: Math.round(process.uptime()),
+    chatWindows: chatWindows.size,
+    networkOnline,
+    appLockEnabled: !!appLockRecord,
+    managedPolicy: {
+      path: policyPath,
+      managedSettings: Object.keys(policy.settings).concat(policy.locked),
+      allowedDomains: !!policy.allowedDomains
+    }
+  };
+
+  const network = {
+    trackerBlocking: {
+      enabled: settings.trackerBlockingEnabled,
+      blockedSinceLaunch: blockedTrackerCount,
+      lists: filterLists
+    },
+    profiles: settings.profiles.map(profile => ({
+      id: profile.id,
+      proxy: proxyConfig.describeProxyConfig(profile.proxy),
+      allowedDomains: getAllowedDomains(profile.id),
+      blockedRequests: getBlockedRequestLog(profile.id).entries()
+        .map(({ host, resourceType, count, lastSeen }) => ({ host, resourceType, count, lastSeen }))
+    })),
+    rejectedCertificates: (tlsAuditLog ? tlsAuditLog.entries() : [])
+      .map(({ host, error, count, time }) => ({ host, error, count, time }))
+  };
+
+  const files = [
+    { name: 'system.json', data: JSON.stringify(system, null, 2) },
+    { name: 'settings.json', data: JSON.stringify(diagnostics.summarizeSettings(settings), null, 2) },
+    { name: 'network.json', data: JSON.stringify(network, null, 2) }
+  ];
+  for (const logFile of log.files()) {
+    files.push({ name: `logs/${path.basename(logFile)}`, data: fs.readFileSync(logFile, 'utf8') });
+  }
+  try {
+    for (const name of fs.readdirSync(crashReportDir).filter(item => item.endsWith('.json'))) {
+      files.push({ name: `crash-reports/${name}`, data: fs.readFileSync(path.join(crashReportDir, name), 'utf8') });
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.warn('Could not read crash reports:', error.message);
+    }
+  }
+
+  const redactOptions = { homeDir: app.getPath('home'), userName: require('os').userInfo().username };
+  return files.map(({ name, data }) => ({ name, data: diagnostics.redact(data, redactOptions) }));
+}
+
+async function exportDiagnostics() {
+  const { dialog } = require('electron');
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Diagnostics',
+    defaultPath: path.join(app.getPath('downloads'), `gemini-desktop-diagnostics-${stamp}.zip`),
+    filters: [{ name: 'ZIP Archives', extensions: ['zip'] }]
+  });
+  if (canceled || !filePath) {
+    return;
+  }
+
+  try {
+    fs.writeFileSync(filePath, createZip(collectDiagnostics()));
+    log.info(`Exported diagnostics to ${filePath}`);
+    shell.showItemInFolder(filePath);
+  } catch (error) {
+    log.error('Failed to export diagnostics:', error);
+    await showMessage('Export Diagnostics', `Could not write ${filePath}: ${error.message}`, 'error');
+  }
+}
+
+// Updates: the manifest at updateManifestUrl names the latest release; installers must carry a valid signature
+function getUpdateSession() {
+  if (!updateSession) {
+    updateSession = session.fromPartition('updates');
+  }
+  return updateSession;
+}
+
+// Fetch through the active profile's proxy; redirects must stay on allowed update URLs
+async function fetchUpdateResource(url, timeout) {
+  const ses = getUpdateSession();
+  await applyProxyConfig(ses, settings.activeProfile);
+  const response = await ses.fetch(url, { cache: 'no-store', signal: AbortSignal.timeout(timeout) });
+  if (!updates.isAllowedUpdateUrl(response.url)) {
+    throw new Error(`${url} redirected to a URL that is not allowed for updates`);
+  }
+  if (!response.ok) {
+    throw new Error(`${url} returned HTTP ${response.status}`);
+  }
+  return response;
+}
+
+function scheduleUpdateChecks(delay = UPDATE_CHECK_DELAY) {
+  clearTimeout(updateCheckTimer);
+  updateCheckTimer = null;
+  if (!settings.updateChecksEnabled || !settings.updateManifestUrl) {
+    return;
+  }
+  updateCheckTimer = setTimeout(async () => {
+    await checkForUpdates();
+    scheduleUpdateChecks(UPDATE_CHECK_INTERVAL);
+  }, delay);
+}
+
+// Background checks notify about new releases that were not skipped; manual checks always answer
+async function checkForUpdates({ manual = false } = {}) {
+  if (updateCheckRunning) {
+    return;
+  }
+  if (!settings.updateManifestUrl) {
+    if (manual) {
+      await showMessage('Check for Updates', 'No update manifest URL is set. Add one under Updates in Preferences.');
+    }
+    return;
+  }
+
+  updateCheckRunning = true;
+  try {
+    const response = await fetchUpdateResource(settings.updateManifestUrl, UPDATE_FETCH_TIMEOUT);
+    const result = updates.normalizeManifest(await response.json(), response.url);
+    if (!result.valid) {
+      throw new Error(result.error);
+    }
+    const manifest = result.value;
+    const currentVersion = app.getVersion();
+    log.info(`Update check: latest release ${manifest.version}, running ${currentVersion}`);
+
+    if (updates.compareVersions(manifest.version, currentVersion) <= 0) {
+      if (manual) {
+        await showMessage('Check for Updates', `Gemini Desktop ${currentVersion} is the latest version.`);
+      }
+    } else if (manual) {
+      await offerUpdate(manifest);
+    } else if (manifest.version !== settings.skippedUpdateVersion) {
+      notifyUpdateAvailable(manifest);
+    }
+  } catch (error) {
+    log.warn('Update check failed:', error.message);
+    if (manual) {
+      await showMessage('Check for Updates', `Could not check for updates: ${error.message}`, 'error');
+    }
+  } finally {
+    updateCheckRunning = false;
+  }
+}
+
+function notifyUpdateAvailable(manifest) {
+  if (notifiedUpdateVersion === manifest.version) {
+    return;
+  }
+  notifiedUpdateVersion = manifest.version;
+  if (!Notification.isSupported()) {
+    offerUpdate(manifest);
+    return;
+  }
+  const notification = new Notification({
+    title: `Gemini Desktop ${manifest.version} is available`,
+    body: 'Click to see what is new.',
+    icon: path.join(__dirname, 'assets', 'icon.png')
+  });
+  activeNotifications.add(notification);
+  notification.on('click', () => offerUpdate(manifest));
+  notification.on('close', () => activeNotifications.delete(notification));
+  notification.show();
+}
+
+// The maintainers' public key, or null when this build was made without one
+function readUpdatePublicKey() {
+  try {
+    return fs.readFileSync(updatePublicKeyPath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.warn('Could not read the release signing key:', error.message);
+    }
+    return null;
+  }
+}
+
+// Linux builds come from the package manager or build script, so they only link to the release
+async function offerUpdate(manifest) {
+  const { dialog } = require('electron');
+  const asset = process.platform === 'linux' ? null : updates.selectAsset(manifest, process.platform, process.arch);
+  const canInstall = asset && readUpdatePublicKey() !== null;
+  const primary = canInstall ? 'Download and Install' : (manifest.releaseUrl ? 'Open Release Page' : null);
+  const buttons = [primary, 'Skip This Version', 'Later'].filter(Boolean);
+  const detail = [
+    `You have ${app.getVersion()}.`,
+    manifest.notes,
+    asset && !canInstall ? UNSIGNED_BUILD_MESSAGE : ''
+  ].filter(Boolean).join('\n\n');
+
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'info',
+    title: 'Update Available',
+    message: `Gemini Desktop ${manifest.version} is available.`,
+    detail,
+    buttons,
+    defaultId: 0,
+    cancelId: buttons.length - 1
+  });
+
+  switch (buttons[response]) {
+    case 'Download and Install':
+      await downloadAndInstallUpdate(manifest, asset);
+      break;
+    case 'Open Release Page':
+      await shell.openExternal(manifest.releaseUrl);
+      break;
+    case 'Skip This Version':
+      updateSetting('skippedUpdateVersion', manifest.version);
+      log.info(`Skipping update ${manifest.version}`);
+      break;
+  }
+}
+
+// Download the installer and its signature, and only keep the file if the signature matches our key
+async function downloadAndInstallUpdate(manifest, asset) {
+  const { dialog } = require('electron');
+  const publicKey = readUpdatePublicKey();
+  if (!publicKey) {
+    await showMessage('Update Not Installed', UNSIGNED_BUILD_MESSAGE, 'warning');
+    return;
+  }
+
+  let filePath;
+  const progressWindow = mainWindow;
+  if (progressWindow) {
+    progressWindow.setProgressBar(2);
+  }
+  try {
+    const [data, signatureData] = await Promise.all([asset.url, asset.signatureUrl].map(async (url) => {
+      const response = await fetchUpdateResource(url, UPDATE_DOWNLOAD_TIMEOUT);
+      return Buffer.from(await response.arrayBuffer());
+    }));
+    if (asset.size && data.length !== asset.size) {
+      throw new Error(`the download is ${data.length} bytes instead of ${asset.size}`);
+    }
+    const signature = updates.decodeSignature(signatureData);
+    if (!signature || !updates.verifySignature(updates.signedUpdatePayload(manifest.version, data), signature, publicKey)) {
+      throw new Error(`its signature does not match the release signing key for version ${manifest.version}`);
+    }
+
+    const urlName = decodeURIComponent(path.posix.basename(new URL(asset.url).pathname));
+    filePath = path.join(updateDownloadDir, downloads.sanitizeFileName(urlName, `gemini-desktop-${manifest.version}`));
+    fs.rmSync(updateDownloadDir, { recursive: true, force: true });
+    fs.mkdirSync(updateDownloadDir, { recursive: true });
+    fs.writeFileSync(filePath, data, { mode: 0o700 });
+    log.info(`Downloaded and verified update ${manifest.version} to ${filePath}`);
+  } catch (error) {
+    log.error(`Update ${manifest.version} failed:`, error.message);
+    await showMessage('Update Failed', `Gemini Desktop ${manifest.version} could not be installed: ${error.message}.`, 'error');
+    return;
+  } finally {
+    if (progressWindow && !progressWindow.isDestroyed()) {
+      progressWindow.setProgressBar(-1);
+    }
+  }
+
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'info',
+    title: 'Update Ready',
+    message: `Gemini Desktop ${manifest.version} is ready to install.`,
+    detail: 'Gemini Desktop quits while the installer runs.',
+    buttons: ['Install Now', 'Later'],
+    defaultId: 0,
+    cancelId: 1
+  });
+  if (response !== 0) {
+    shell.showItemInFolder(filePath);
+    return;
+  }
+
+  const openError = await shell.openPath(filePath);
+  if (openError) {
+    log.error(`Could not start the installer ${filePath}:`, openError);
+    await showMessage('Update Failed', `Could not start the installer: ${openError}`, 'error');
+    return;
+  }
+  app.quit();
+}
+
+// Steam: add this app to the local Steam accounts' libraries as a non-Steam game
+function getSteamLaunchTarget() {
+  // An AppImage runs from a temporary mount, so Steam has to start the AppImage file itself
+  const exe = process.env.APPIMAGE || process.execPath;
+  return {
+    exe,
+    startDir: path.dirname(exe),
+    // Unpackaged (npm start) runs pass the project folder to the Electron binary
+    launchOptions: app.isPackaged ? '' : `"${app.getAppPath()}"`
+  };
+}
+
+// Library artwork from our icon; files that already exist are left alone so custom art survives an update
+function writeSteamArtwork(gridDir, appId) {
+  fs.mkdirSync(gridDir, { recursive: true });
+  const icon = nativeImage.createFromPath(path.join(__dirname, 'assets', 'icon-512.png'));
+  const writeImage = (name, render) => {
+    const filePath = path.join(gridDir, `${appId}${name}`);
+    if (!fs.existsSync(filePath)) {
+      fs.writeFileSync(filePath, render());
+    }
+    return filePath;
+  };
+
+  for (const { suffix, width, height, iconSize } of steam.GRID_ARTWORK) {
+    writeImage(`${suffix}.png`, () => {
+      const scaled = iconSize ? icon.resize({ width: iconSize, height: iconSize, quality: 'best' }) : null;
+      const bitmap = steam.composeArtwork(scaled && { ...scaled.getSize(), data: scaled.toBitmap() }, width, height);
+      return nativeImage.createFromBitmap(bitmap, { width, height }).toPNG();
+    });
+  }
+  writeImage('_logo.png', () => icon.toPNG());
+  return writeImage('_icon.png', () => icon.resize({ width: 256, height: 256, quality: 'best' }).toPNG());
+}
+
+async function addToSteam() {
+  const { dialog } = require('electron');
+  const users = steam.findSteamUsers(steam.steamRootCandidates(process.platform, app.getPath('home'), process.env));
+  if (users.length === 0) {
+    await showMessage('Add to Steam', 'No Steam installation with a signed-in account was found on this computer.', 'warning');
+    return;
+  }
+
+  const target = getSteamLaunchTarget();
+  const plans = users.map(user => {
+    const shortcuts = steam.loadShortcuts(user.shortcutsPath);
+    const existingKey = shortcuts.valid ? steam.findShortcut(shortcuts.value, target.exe, STEAM_APP_NAME) : null;
+    return { user, shortcuts, existingKey };
+  });
+  const describePlan = ({ user, shortcuts, existingKey }) => {
+    if (!shortcuts.valid) {
+      return `${user.name}: skipped, its shortcuts file cannot be read (${shortcuts.error})`;
+    }
+    return `${user.name}: ${existingKey === null ? 'will be added' : 'already in the library, the shortcut will be updated'}`;
+  };
+
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    title: 'Add to Steam',
+    message: 'Add Gemini Desktop to your Steam library as a non-Steam game?',
+    detail: `${plans.map(describePlan).join('\n')}\n\nQuit Steam first, because it rewrites its shortcuts when it exits. A backup of each shortcuts file is kept next to it.`,
+    buttons: ['Add to Steam', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1
+  });
+  if (response !== 0) {
+    return;
+  }
+
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  const results = [];
+  for (const { user, shortcuts, existingKey } of plans.filter(plan => plan.shortcuts.valid)) {
+    try {
+      const root = shortcuts.value;
+      const appId = existingKey === null
+        ? steam.shortcutAppId(target.exe, STEAM_APP_NAME)
+        : steam.entryAppId(root.shortcuts[existingKey]);
+      const icon = writeSteamArtwork(user.gridDir, appId);
+      steam.setShortcut(root, existingKey, { ...target, appId, appName: STEAM_APP_NAME, icon });
+      const backupPath = steam.saveShortcuts(user.shortcutsPath, root, stamp);
+      log.info(`${existingKey === null ? 'Added' : 'Updated'} Steam shortcut ${appId} in ${user.shortcutsPath}${backupPath ? ` (backup: ${backupPath})` : ''}`);
+      results.push(`${user.name}: ${existingKey === null ? 'added' : 'updated'}`);
+    } catch (error) {
+      log.error(`Could not add the Steam shortcut to ${user.shortcutsPath}:`, error);
+      results.push(`${user.name}: failed (${error.message})`);
+    }
+  }
+
+  if (results.length === 0) {
+    await showMessage('Add to Steam', 'None of the Steam shortcuts files could be read, so nothing was changed.', 'error');
+    return;
+  }
+  await showMessage('Add to Steam', `${results.join('\n')}\n\nStart Steam again to see Gemini Desktop in your library.`);
+}
+
+// Create the frameless Quick Ask popup (kept alive and hidden between uses)
+function createQuickAskWindow() {
+  quickAskWindow = new BrowserWindow({
+    width: 640,
+    height: 132,
+    frame: false,
+    resizable: false,
+    movable: true,
+    minimizable: false,
+    maximizable: false,
+    fullscreenable: false,
+    alwaysOnTop: true,
+    skipTaskbar: true,
+    show: false,
+    title: 'Quick Ask',
+    backgroundColor: '#1e1f20',
+    webPreferences: {
+      preload: path.join(__dirname, 'pages', 'quick-ask-preload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      webSecurity: true,
+      sandbox: true,
+      webviewTag: false,
+      spellcheck: true,
+      navigateOnDragDrop: false,
+    },
+  });
+
+  quickAskWindow.setAlwaysOnTop(true, 'floating');
+  quickAskWindow.loadFile(path.join(__dirname, 'pages', 'quick-ask.html'));
+
+  // Dismiss when focus moves elsewhere, like a launcher
+  quickAskWindow.on('blur', () => {
+    if (quickAskWindow && !quickAskWindow.webContents.isDevToolsOpened()) {
+      quickAskWindow.hide();
+    }
+  });
+
+  quickAskWindow.on('closed', () => {
+    quickAskWindow = null;
+  });
+}
+
+// Show the Quick Ask popup on the display under the cursor
+function showQuickAsk() {
+  // The hotkey works from anywhere, so while locked it only brings up the unlock screen
+  if (appLocked) {
+    showMainWindow();
+    return;
+  }
+  if (!quickAskWindow) {
+    createQuickAskWindow();
+  }
+
+  const display = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+  const { width, height } = quickAskWindow.getBounds();
+  const area = display.workArea;
+  quickAskWindow.setBounds({
+    x: Math.round(area.x + (area.width - width) / 2),
+    y: Math.round(area.y + area.height / 4),
+    width,
+    height
+  });
+
+  quickAskWindow.show();
+  quickAskWindow.focus();
+  quickAskWindow.webContents.send('quick-ask:shown');
+}
+
+function toggleQuickAsk() {
+  if (quickAskWindow && quickAskWindow.isVisible()) {
+    quickAskWindow.hide();
+  } else {
+    showQuickAsk();
+  }
+}
+
+// (Re)register the global Quick Ask hotkey from settings
+function registerQuickAskShortcut() {
+  if (registeredQuickAskShortcut) {
+    globalShortcut.unregister(registeredQuickAskShortcut);
+    registeredQuickAskShortcut = null;
+  }
+
+  if (!settings.quickAskShortcut) {
+    return true;
+  }
+
+  try {
+    if (globalShortcut.register(settings.quickAskShortcut, toggleQuickAsk)) {
+      registeredQuickAskShortcut = settings.quickAskShortcut;
+      log.info(`Registered Quick Ask shortcut: ${settings.quickAskShortcut}`);
+      return true;
+    }
+    log.warn(`Quick Ask shortcut ${settings.quickAskShortcut} is in use by another application`);
+  } catch (error) {
+    log.error('Invalid Quick Ask shortcut:', error);
+  }
+  return false;
+}
+
+// IPC from the Quick Ask popup
+function setupQuickAskIpc() {
+  const isFromQuickAsk = (event) => quickAskWindow && event.sender === quickAskWindow.webContents;
+
+  ipcMain.on('quick-ask:submit', (event, text) => {
+    if (!isFromQuickAsk(event) || typeof text !== 'string' || !text.trim()) {
+      return;
+    }
+    quickAskWindow.hide();
+    sendPromptToGemini(text.trim());
+  });
+
+  ipcMain.on('quick-ask:dismiss', (event) => {
+    if (isFromQuickAsk(event)) {
+      quickAskWindow.hide();
+    }
+  });
+}
+
+// Build the application menu (rebuilt when profiles change)
+const editMenu = {
+  label: 'Edit',
+  submenu: [
+    { label: 'Undo', accelerator: 'CmdOrCtrl+Z', role: 'undo' },
+    { label: 'Redo', accelerator: 'Shift+CmdOrCtrl+Z', role: 'redo' },
+    { type: 'separator' },
+    { label: 'Cut', accelerator: 'CmdOrCtrl+X', role: 'cut' },
+    { label: 'Copy', accelerator: 'CmdOrCtrl+C', role: 'copy' },
+    { label: 'Paste', accelerator: 'CmdOrCtrl+V', role: 'paste' },
+    { label: 'Select All', accelerator: 'CmdOrCtrl+A', role: 'selectAll' }
+  ]
+};
+
+function updateAppMenu() {
+  // While locked only typing the passphrase and quitting are possible
+  if (appLocked) {
+    Menu.setApplicationMenu(Menu.buildFromTemplate([
+      {
+        label: 'File',
+        submenu: [{ label: 'Quit', accelerator: 'CmdOrCtrl+Q', click: () => app.quit() }]
+      },
+      editMenu
+    ]));
+    return;
+  }
+
+  const menu = Menu.buildFromTemplate([
+    {
+      label: 'File',
+      submenu: [
+        {
+          label: 'New Chat',
+          accelerator: 'CmdOrCtrl+N',
+          click: () => {
+            mainWindow.loadURL(GEMINI_URL);
+          }
+        },
+        {
+          label: 'New Chat Window',
+          accelerator: 'CmdOrCtrl+T',
+          click: () => createWindow({ hidden: false })
+        },
+        {
+          label: 'Quick Ask...',
+          accelerator: settings.quickAskShortcut || undefined,
+          registerAccelerator: false,  // Handled by the global shortcut
+          click: () => showQuickAsk()
+        },
+        { type: 'separator' },
+        {
+          label: 'Export Conversation...',
+          accelerator: 'CmdOrCtrl+Shift+E',
+          click: () => exportConversation()
+        },
+        {
+          label: 'Downloads',
+          accelerator: 'CmdOrCtrl+Shift+J',
+          click: () => showDownloadsWindow()
+        },
+        { type: 'separator' },
+        {
+          label: 'Preferences...',
+          accelerator: 'CmdOrCtrl+,',
+          click: () => showPreferencesWindow()
+        },
+        {
+          label: 'App Lock',
+          submenu: [
+            {
+              label: 'Lock Now',
+              accelerator: 'CmdOrCtrl+Shift+L',
+              enabled: !!appLockRecord,
+              click: () => lockApp()
+            },
+            { type: 'separator' },
+            {
+              label: appLockRecord ? 'Change or Remove Passphrase...' : 'Set Passphrase...',
+              click: () => showPassphraseDialog()
+            }
+          ]
+        },
+        { type: 'separator' },
+        {
+          label: 'Quit',
+          accelerator: 'CmdOrCtrl+Q',
           click: () => {
             app.quit();
           }
         }
       ]
     },
+    editMenu,
     {
-      label: 'Edit',
+      label: 'Prompts',
       submenu: [
-        { label: 'Undo', accelerator: 'CmdOrCtrl+Z', role: 'undo' },
-        { label: 'Redo', accelerator: 'Shift+CmdOrCtrl+Z', role: 'redo' },
+        ...settings.promptTemplates.map((template, index) => ({
+          label: promptTemplates.extractPlaceholders(template.body).length > 0 ? `${template.name}...` : template.name,
+          accelerator: index < 9 ? `CmdOrCtrl+Alt+${index + 1}` : undefined,
+          click: () => usePromptTemplate(template.id)
+        })),
         { type: 'separator' },
-        { label: 'Cut', accelerator: 'CmdOrCtrl+X', role: 'cut' },
-        { label: 'Copy', accelerator: 'CmdOrCtrl+C', role: 'copy' },
-        { label: 'Paste', accelerator: 'CmdOrCtrl+V', role: 'paste' },
-        { label: 'Select All', accelerator: 'CmdOrCtrl+A', role: 'selectAll' }
+        {
+          label: 'Manage Prompts...',
+          accelerator: 'CmdOrCtrl+Shift+P',
+          click: () => showPromptsWindow()
+        }
       ]
     },
     {
@@ -409,20 +3785,65 @@ function createWindow() {
         { label: 'Reload', accelerator: 'CmdOrCtrl+R', role: 'reload' },
         { label: 'Force Reload', accelerator: 'CmdOrCtrl+Shift+R', role: 'forceReload' },
         { type: 'separator' },
-        { label: 'Zoom In', accelerator: 'CmdOrCtrl+Plus', role: 'zoomIn' },
-        { label: 'Zoom Out', accelerator: 'CmdOrCtrl+-', role: 'zoomOut' },
-        { label: 'Reset Zoom', accelerator: 'CmdOrCtrl+0', role: 'resetZoom' },
+        { label: 'Zoom In', accelerator: 'CmdOrCtrl+Plus', click: () => changeZoom(1) },
+        { label: 'Zoom Out', accelerator: 'CmdOrCtrl+-', click: () => changeZoom(-1) },
+        { label: 'Reset Zoom', accelerator: 'CmdOrCtrl+0', click: () => changeZoom(0) },
         { type: 'separator' },
         { label: 'Toggle Fullscreen', accelerator: 'F11', role: 'togglefullscreen' },
+        {
+          label: 'Customizations',
+          submenu: buildCustomizationMenuItems()
+        },
         { type: 'separator' },
-        { label: 'Developer Tools', accelerator: 'CmdOrCtrl+Shift+I', role: 'toggleDevTools' }
+        {
+          label: 'Network Activity',
+          click: () => showNetworkWindow()
+        },
+        {
+          label: 'Tracker Blocking',
+          submenu: buildTrackerBlockingMenuItems()
+        },
+        {
+          label: 'Certificates...',
+          click: () => showCertificatesWindow()
+        },
+        { label: 'Developer Tools', accelerator: 'CmdOrCtrl+Shift+I', role: 'toggleDevTools', enabled: !policy.disableDevTools }
       ]
     },
     {
       label: 'Account',
       submenu: [
+        ...buildProfileMenuItems(),
+        { type: 'separator' },
+        {
+          label: 'Add Profile...',
+          click: () => addProfile()
+        },
+        {
+          label: 'Rename Current Profile...',
+          click: () => renameProfile()
+        },
+        {
+          label: 'Remove Profile',
+          enabled: !policy.disableSignOut && settings.profiles.some(profile =>
+            profile.id !== DEFAULT_PROFILE_ID && profile.id !== settings.activeProfile
+          ),
+          submenu: settings.profiles
+            .filter(profile => profile.id !== DEFAULT_PROFILE_ID && profile.id !== settings.activeProfile)
+            .map(profile => ({
+              label: profile.name,
+              click: () => removeProfile(profile.id)
+            }))
+        },
+        { type: 'separator' },
+        {
+          label: 'Proxy Settings...',
+          click: () => showProxyWindow()
+        },
+        { type: 'separator' },
         {
           label: 'Sign Out & Clear Session',
+          enabled: !policy.disableSignOut,
           click: async () => {
             const { dialog } = require('electron');
             const result = await dialog.showMessageBox(mainWindow, {
@@ -431,39 +3852,92 @@ function createWindow() {
               defaultId: 0,
               cancelId: 0,
               title: 'Sign Out',
-              message: 'Are you sure you want to sign out?',
-              detail: 'This will clear all saved login data, cookies, and cached information. You will need to sign in again.'
+              message: `Are you sure you want to sign out of the "${getProfile().name}" profile?`,
+              detail: 'This will clear all saved login data, cookies, and cached information for this profile. You will need to sign in again.'
             });
             
             if (result.response === 1) {
-              // Clear all session data
-              const ses = session.defaultSession;
+              // Clear all session data for the active profile
+              const ses = getProfileSession();
               await ses.clearStorageData({
                 storages: ['cookies', 'localstorage', 'sessionstorage', 'indexdb', 'websql', 'serviceworkers', 'cachestorage']
               });
               await ses.clearCache();
               await ses.clearAuthCache();
+              // Unsent prompts belong to the account that is signing out
+              deletePromptDrafts(getProfile().id);
               
               // Reload to show login page
-              mainWindow.loadURL('https://gemini.google.com/app');
+              mainWindow.loadURL(GEMINI_URL);
             }
           }
         },
         {
           label: 'Clear Cache Only',
+          enabled: !policy.disableClearCache,
           click: async () => {
-            const ses = session.defaultSession;
+            const ses = getProfileSession();
             await ses.clearCache();
             mainWindow.reload();
           }
         }
       ]
     },
+    {
+      label: 'Archive',
+      submenu: [
+        {
+          label: 'Search Archive...',
+          accelerator: 'CmdOrCtrl+Shift+F',
+          click: () => showArchiveWindow()
+        },
+        { type: 'separator' },
+        {
+          label: secureStore.isAvailable() ? 'Archive Conversations' : 'Archive Conversations (requires system encryption)',
+          type: 'checkbox',
+          checked: settings.archiveEnabled,
+          enabled: secureStore.isAvailable() && !isManagedSetting('archiveEnabled'),
+          click: (menuItem) => updateSetting('archiveEnabled', menuItem.checked)
+        },
+        {
+          label: 'Never Archive This Profile',
+          type: 'checkbox',
+          checked: !!getProfile().neverArchive,
+          click: (menuItem) => setNeverArchiveProfile(menuItem.checked)
+        },
+        {
+          label: 'Size Limit',
+          enabled: !isManagedSetting('archiveMaxSizeMB'),
+          submenu: archiveSizeLimits.map(limit => ({
+            label: `${limit} MB`,
+            type: 'radio',
+            checked: settings.archiveMaxSizeMB === limit,
+            click: () => updateSetting('archiveMaxSizeMB', limit)
+          }))
+        },
+        { type: 'separator' },
+        {
+          label: 'Purge This Profile\'s Archive...',
+          click: () => purgeArchive()
+        }
+      ]
+    },
     {
       label: 'Window',
       submenu: [
         { label: 'Minimize', accelerator: 'CmdOrCtrl+M', role: 'minimize' },
-        { label: 'Close', accelerator: 'CmdOrCtrl+W', role: 'close' }
+        { label: 'Close', accelerator: 'CmdOrCtrl+W', role: 'close' },
+        { type: 'separator' },
+        {
+          label: 'Next Chat Window',
+          accelerator: 'Ctrl+Tab',
+          click: () => focusNextChatWindow(1)
+        },
+        {
+          label: 'Previous Chat Window',
+          accelerator: 'Ctrl+Shift+Tab',
+          click: () => focusNextChatWindow(-1)
+        }
       ]
     },
     {
@@ -480,50 +3954,411 @@ function createWindow() {
           click: async () => {
             await shell.openExternal('https://support.google.com/gemini');
           }
+        },
+        { type: 'separator' },
+        {
+          label: 'Check for Updates...',
+          // An administrator who turned checks off means manual ones too
+          enabled: !(isManagedSetting('updateChecksEnabled') && !settings.updateChecksEnabled),
+          click: () => checkForUpdates({ manual: true })
+        },
+        {
+          label: 'Add to Steam...',
+          click: () => addToSteam()
+        },
+        { type: 'separator' },
+        {
+          label: 'Export Diagnostics...',
+          click: () => exportDiagnostics()
+        },
+        {
+          label: 'Open Logs Folder',
+          click: () => {
+            fs.mkdirSync(logDir, { recursive: true });
+            shell.openPath(logDir);
+          }
         }
       ]
     }
   ]);
 
   Menu.setApplicationMenu(menu);
+}
+
+// Window geometry persistence
+
+// Current displays with the primary one first, as lib/window-state expects
+function getDisplayAreas() {
+  const primary = screen.getPrimaryDisplay();
+  return [primary, ...screen.getAllDisplays().filter(display => display.id !== primary.id)]
+    .map(display => ({ id: display.id, workArea: display.workArea }));
+}
+
+// Saved bounds fitted onto the displays that are connected now
+function getInitialWindowBounds() {
+  const state = settings.windowState;
+  return windowState.fitBoundsToDisplays(state.bounds || DEFAULT_WINDOW_SIZE, getDisplayAreas(), {
+    preferredDisplayId: state.displayId,
+    minWidth: MIN_WINDOW_SIZE.width,
+    minHeight: MIN_WINDOW_SIZE.height
+  });
+}
+
+function saveWindowState() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+
+  const bounds = mainWindow.getNormalBounds();
+  const zoomFactor = Math.min(windowState.MAX_ZOOM_FACTOR,
+    Math.max(windowState.MIN_ZOOM_FACTOR, mainWindow.webContents.getZoomFactor()));
+  settings.windowState = {
+    bounds,
+    isMaximized: mainWindow.isMaximized(),
+    isFullScreen: mainWindow.isFullScreen(),
+    zoomFactor,
+    displayId: screen.getDisplayMatching(bounds).id
+  };
+  saveSettings(settings);
+}
+
+// Moving and resizing fire continuously, so only save once things settle
+let windowStateTimer = null;
+function saveWindowStateSoon() {
+  clearTimeout(windowStateTimer);
+  windowStateTimer = setTimeout(saveWindowState, 1000);
+}
+
+// Pull chat windows back onto a connected display (e.g. after undocking a Steam Deck)
+function ensureWindowsVisible() {
+  for (const window of chatWindows) {
+    ensureWindowVisible(window);
+  }
+}
+
+function ensureWindowVisible(window) {
+  if (window.isMaximized() || window.isFullScreen()) {
+    return;
+  }
+  const current = window.getBounds();
+  const fitted = windowState.fitBoundsToDisplays(current, getDisplayAreas(), {
+    preferredDisplayId: screen.getDisplayMatching(current).id,
+    minWidth: MIN_WINDOW_SIZE.width,
+    minHeight: MIN_WINDOW_SIZE.height
+  });
+  if (fitted.x !== current.x || fitted.y !== current.y || fitted.width !== current.width || fitted.height !== current.height) {
+    window.setBounds(fitted);
+  }
+}
+
+// Zoom in (1), out (-1) or reset (0) in the same half-level steps as Electron's zoom roles
+function stepZoom(contents, step) {
+  contents.setZoomLevel(step === 0 ? 0 : contents.getZoomLevel() + step * 0.5);
+  if (mainWindow && contents === mainWindow.webContents) {
+    saveWindowStateSoon();
+  }
+}
+
+// View menu zoom for whichever window is focused (only the main window's zoom is remembered)
+function changeZoom(step) {
+  const window = BrowserWindow.getFocusedWindow();
+  if (window) {
+    stepZoom(window.webContents, step);
+  }
+}
+
+// URLs of the open chat windows; windows still on the sign-in page reopen as a new chat
+function getOpenChatUrls() {
+  return [...chatWindows].map(window => {
+    const url = window.webContents.getURL() || initialChatUrls.get(window);
+    return url.startsWith('https://gemini.google.com/') ? url : GEMINI_URL;
+  });
+}
+
+// Remember which chats are open so they can be reopened on launch. The list is taken right away
+// and only the write waits, so quitting before the timer fires still saves it (see will-quit).
+let openChatsTimer = null;
+function saveOpenChatsSoon() {
+  const openChats = getOpenChatUrls();
+  // Closing the last window quits (or leaves the app in the tray or dock); its chat reopens next time
+  if (openChats.length === 0 || JSON.stringify(openChats) === JSON.stringify(settings.openChats)) {
+    return;
+  }
+  settings.openChats = openChats;
+  clearTimeout(openChatsTimer);
+  openChatsTimer = setTimeout(() => {
+    openChatsTimer = null;
+    saveSettings(settings);
+  }, 1000);
+}
+
+// Reopen the chat windows from the last session (or a single new chat)
+function restoreChatWindows() {
+  const urls = settings.openChats.length > 0 ? settings.openChats : [GEMINI_URL];
+  urls.forEach((url, index) => createWindow({ url, cascade: index > 0 }));
+}
+
+// Cycle focus through chat windows (Ctrl+Tab / Ctrl+Shift+Tab)
+function focusNextChatWindow(step) {
+  const windows = [...chatWindows];
+  if (windows.length < 2) {
+    return;
+  }
+  const index = windows.indexOf(mainWindow);
+  const next = windows[(index + step + windows.length) % windows.length];
+  next.show();
+  next.focus();
+}
+
+// Page title, with the profile name once there is more than one profile (hidden while locked)
+function updateChatWindowTitle(window) {
+  if (appLocked) {
+    window.setTitle('Gemini Desktop (Locked)');
+    return;
+  }
+  const baseTitle = window.webContents.getTitle() || 'Gemini Desktop';
+  const profileId = sessionProfileIds.get(window.webContents.session);
+  window.setTitle(settings.profiles.length > 1 ? `${baseTitle} - ${getProfile(profileId).name}` : baseTitle);
+}
+
+// Spellcheck languages of a profile session (macOS always uses the system spellchecker)
+function applySpellcheckLanguages(ses) {
+  if (process.platform === 'darwin') {
+    return;
+  }
+  const available = ses.availableSpellCheckerLanguages;
+  const chosen = settings.spellcheckLanguages.filter(language => available.includes(language));
+  if (chosen.length > 0) {
+    ses.setSpellCheckerLanguages(chosen);
+    return;
+  }
+  // Nothing chosen: the dictionary closest to the UI language
+  const locale = app.getLocale();
+  const fallback = available.find(language => language === locale) ||
+    available.find(language => language.split('-')[0] === locale.split('-')[0]);
+  if (fallback) {
+    ses.setSpellCheckerLanguages([fallback]);
+  }
+}
+
+function setSpellcheckLanguage(ses, language, enabled) {
+  const current = ses.getSpellCheckerLanguages().filter(item => item !== language);
+  return updateSetting('spellcheckLanguages', enabled ? [...current, language] : current);
+}
+
+function buildSpellcheckLanguageMenuItems(ses) {
+  const current = ses.getSpellCheckerLanguages();
+  const managed = isManagedSetting('spellcheckLanguages');
+  return ses.availableSpellCheckerLanguages.map(language => ({
+    label: language,
+    type: 'checkbox',
+    checked: current.includes(language),
+    enabled: !managed,
+    click: (item) => setSpellcheckLanguage(ses, language, item.checked)
+  }));
+}
+
+// Start a new chat window with the selection quoted, ready for the question
+function askAboutSelection(text) {
+  const window = createWindow({ hidden: false });
+  window.webContents.once('did-finish-load', () => {
+    window.webContents.send('gemini:insert-prompt', { text: promptTemplates.quoteText(text), submit: false });
+  });
+}
+
+// Right-click menu of chat windows: spelling fixes, selection, link, image and editing actions
+function showChatContextMenu(window, params) {
+  const contents = window.webContents;
+  const selection = params.selectionText.trim();
+  const groups = [];
+
+  if (params.misspelledWord) {
+    const suggestions = params.dictionarySuggestions.slice(0, 5).map(suggestion => ({
+      label: suggestion,
+      click: () => contents.replaceMisspelling(suggestion)
+    }));
+    groups.push([
+      ...(suggestions.length > 0 ? suggestions : [{ label: 'No Suggestions', enabled: false }]),
+      {
+        label: 'Add to Dictionary',
+        click: () => contents.session.addWordToSpellCheckerDictionary(params.misspelledWord)
+      }
+    ]);
+  }
+
+  if (selection) {
+    groups.push([{ label: 'Ask Gemini About Selection', click: () => askAboutSelection(selection) }]);
+  }
+
+  if (params.linkURL) {
+    groups.push([{ label: 'Copy Link Address', click: () => clipboard.writeText(params.linkURL) }]);
+  }
+
+  if (params.mediaType === 'image' && params.srcURL) {
+    groups.push([
+      { label: 'Copy Image', click: () => contents.copyImageAt(params.x, params.y) },
+      { label: 'Save Image', click: () => contents.downloadURL(params.srcURL) }  // Saved like any other download
+    ]);
+  }
+
+  if (params.isEditable) {
+    groups.push([
+      { label: 'Cut', role: 'cut', enabled: params.editFlags.canCut },
+      { label: 'Copy', role: 'copy', enabled: params.editFlags.canCopy },
+      { label: 'Paste', role: 'paste', enabled: params.editFlags.canPaste },
+      { label: 'Select All', role: 'selectAll', enabled: params.editFlags.canSelectAll }
+    ]);
+    if (process.platform !== 'darwin' && contents.session.availableSpellCheckerLanguages.length > 0) {
+      groups.push([{ label: 'Spelling Languages', submenu: buildSpellcheckLanguageMenuItems(contents.session) }]);
+    }
+  } else if (selection) {
+    groups.push([{ label: 'Copy', role: 'copy' }]);
+  }
+
+  if (groups.length === 0) {
+    return;
+  }
+  const template = groups.flatMap((group, index) => index > 0 ? [{ type: 'separator' }, ...group] : group);
+  Menu.buildFromTemplate(template).popup({ window });
+}
+
+// Create a chat window; every chat window gets the same security and navigation rules
+function createWindow(options = {}) {
+  const cascade = options.cascade ?? chatWindows.size > 0;
+  let bounds = getInitialWindowBounds();
+  if (cascade && mainWindow) {
+    const from = mainWindow.getNormalBounds();
+    bounds = windowState.fitBoundsToDisplays({
+      ...from,
+      x: from.x + CHAT_WINDOW_CASCADE,
+      y: from.y + CHAT_WINDOW_CASCADE
+    }, getDisplayAreas(), { minWidth: MIN_WINDOW_SIZE.width, minHeight: MIN_WINDOW_SIZE.height });
+  }
+
+  // Create the browser window with enhanced security
+  const window = new BrowserWindow({
+    ...bounds,
+    minWidth: MIN_WINDOW_SIZE.width,
+    minHeight: MIN_WINDOW_SIZE.height,
+    title: 'Gemini Desktop',
+    icon: path.join(__dirname, 'assets', 'icon.png'),
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      session: getProfileSession(),     // Isolated session for the active profile
+      nodeIntegration: false,
+      contextIsolation: true,
+      webSecurity: true,
+      allowRunningInsecureContent: false,
+      // Additional security settings
+      sandbox: true,                    // Enable sandbox for renderer
+      webviewTag: false,                // Disable webview tag
+      enableRemoteModule: false,        // Disable remote module
+      spellcheck: true,                 // Enable spellcheck
+      devTools: !policy.disableDevTools,  // Administrators can turn DevTools off
+      safeDialogs: true,                // Prevent dialog spam
+      navigateOnDragDrop: false,        // Prevent drag-drop navigation
+    },
+    autoHideMenuBar: false,
+    show: false, // Don't show until ready
+  });
+  const contents = window.webContents;
+  const profileId = settings.activeProfile;
+  chatWindows.add(window);
+  mainWindow = window;
+  if (appLocked) {
+    addLockOverlay(window);
+  }
+
+  // Create application menu
+  updateAppMenu();
 
   // Set a custom user agent to ensure compatibility
-  const userAgent = mainWindow.webContents.getUserAgent().replace(/Electron\/[\d.]+ /, '');
-  mainWindow.webContents.setUserAgent(userAgent);
+  const userAgent = contents.getUserAgent().replace(/Electron\/[\d.]+ /, '');
+  contents.setUserAgent(userAgent);
 
   // Load Gemini
-  mainWindow.loadURL('https://gemini.google.com/app');
+  initialChatUrls.set(window, options.url || GEMINI_URL);
+  window.loadURL(options.url || GEMINI_URL);
+
+  // Restore maximized/fullscreen on first show (doing it earlier would show a hidden window)
+  if (!cascade) {
+    window.once('show', () => {
+      if (settings.windowState.isFullScreen) {
+        window.setFullScreen(true);
+      } else if (settings.windowState.isMaximized) {
+        window.maximize();
+      }
+    });
+  }
 
   // Show window when ready (unless starting minimized)
-  mainWindow.once('ready-to-show', () => {
-    const startHidden = process.argv.includes('--hidden') || settings.startMinimized;
+  window.once('ready-to-show', () => {
+    const startHidden = options.hidden ?? (launchOptions.hidden || settings.startMinimized);
     if (!startHidden) {
-      mainWindow.show();
+      window.show();
+    }
+  });
+
+  // The focused chat window is the one menus, Quick Ask and exports act on
+  window.on('focus', () => {
+    mainWindow = window;
+    if (!appLocked) {
+      markChatWindowRead(window);
+    }
+  });
+
+  // Remember geometry and zoom
+  for (const eventName of ['resize', 'move', 'maximize', 'unmaximize', 'enter-full-screen', 'leave-full-screen']) {
+    window.on(eventName, () => {
+      if (window === mainWindow) {
+        saveWindowStateSoon();
+      }
+    });
+  }
+  contents.on('zoom-changed', (event, zoomDirection) => {
+    stepZoom(contents, zoomDirection === 'in' ? 1 : -1);
+  });
+  contents.on('did-finish-load', () => {
+    if (settings.windowState.zoomFactor) {
+      contents.setZoomFactor(settings.windowState.zoomFactor);
     }
   });
 
-  // Minimize to tray instead of closing
-  mainWindow.on('close', (event) => {
-    if (!isQuitting && settings.minimizeToTray) {
+  // Remember open chats
+  contents.on('did-navigate', saveOpenChatsSoon);
+  contents.on('did-navigate-in-page', saveOpenChatsSoon);
+
+  // Minimize to tray instead of closing (extra chat windows just close)
+  window.on('close', (event) => {
+    if (window === mainWindow) {
+      saveWindowState();
+    }
+    if (!isQuitting && settings.minimizeToTray && chatWindows.size === 1) {
       event.preventDefault();
-      mainWindow.hide();
+      window.hide();
+      lockOnHideToTray();
       return false;
     }
   });
 
   // Handle minimize to tray
-  mainWindow.on('minimize', (event) => {
+  window.on('minimize', (event) => {
     if (settings.minimizeToTray) {
       event.preventDefault();
-      mainWindow.hide();
+      window.hide();
+      lockOnHideToTray();
     }
   });
 
   // Handle external links - open in default browser
-  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
-    // Allow Google auth and Gemini URLs to open in app
+  contents.setWindowOpenHandler(({ url }) => {
+    // Gemini links open as another chat window with these same rules
+    if (url.startsWith('https://gemini.google.com/')) {
+      createWindow({ url, hidden: false });
+      return { action: 'deny' };
+    }
+    // Allow Google auth to open in app
     if (url.includes('accounts.google.com') || 
-        url.includes('gemini.google.com') ||
         url.includes('google.com/accounts')) {
       return { action: 'allow' };
     }
@@ -533,7 +4368,7 @@ function createWindow() {
   });
 
   // Handle navigation
-  mainWindow.webContents.on('will-navigate', (event, url) => {
+  contents.on('will-navigate', (event, url) => {
     // Allow navigation within Gemini and Google auth
     if (!url.includes('gemini.google.com') && 
         !url.includes('accounts.google.com') &&
@@ -544,36 +4379,286 @@ function createWindow() {
   });
 
   // Update window title based on page
-  mainWindow.webContents.on('page-title-updated', (event, title) => {
-    mainWindow.setTitle(title || 'Gemini Desktop');
+  contents.on('page-title-updated', () => updateChatWindowTitle(window));
+
+  contents.on('context-menu', (event, params) => showChatContextMenu(window, params));
+
+  // Crashed and hung pages
+  contents.on('render-process-gone', (event, details) => handleRendererGone(window, details));
+  window.on('unresponsive', () => handleUnresponsive(window));
+  window.on('responsive', () => handleResponsive(window));
+
+  // Unsent prompt text, restored after reloads, crashes and restarts
+  contents.ipc.on('gemini:draft', (event, draft) => setPromptDraft(profileId, draft));
+  contents.ipc.handle('gemini:get-draft', (event, key) => getPromptDraft(profileId, key));
+
+  // Failed loads get an error page with automatic retries instead of Chromium's blank error page
+  contents.on('did-start-loading', () => {
+    const failure = loadFailures.get(window);
+    if (failure) {
+      failure.loadFailed = false;
+    }
+  });
+  contents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+    if (isMainFrame && errorCode !== ERR_ABORTED) {
+      handleLoadFailure(window, errorCode, errorDescription, validatedURL);
+    }
+  });
+  // Also emitted for Chromium's error page, hence the loadFailed check
+  contents.on('did-finish-load', () => {
+    const failure = loadFailures.get(window);
+    if (failure && !failure.loadFailed) {
+      clearLoadFailure(window);
+    }
+  });
+
+  // User stylesheets and scripts, on every page load
+  contents.on('dom-ready', () => {
+    applyCustomStyles(contents);
+    runUserScripts(contents);
+  });
+
+  // Conversation archive snapshots from the preload
+  contents.on('did-finish-load', () => {
+    contents.send('gemini:archive-state', isArchivingActive(profileId));
+  });
+  contents.ipc.on('gemini:conversation-snapshot', (event, snapshot) => {
+    if (isArchivingActive(profileId)) {
+      archiveSnapshot(profileId, snapshot);
+    }
   });
 
-  // Emitted when the window is closed
-  mainWindow.on('closed', () => {
-    mainWindow = null;
+  // Answers finishing while the window is in the background
+  contents.ipc.on('gemini:response-complete', (event, completion) => {
+    handleResponseComplete(window, completion);
+  });
+
+  // Emitted when the window is closed (it may have been replaced by a profile switch)
+  window.on('closed', () => {
+    removeLockOverlay(window);
+    clearLoadFailure(window);
+    markChatWindowRead(window);
+    chatWindows.delete(window);
+    if (mainWindow === window) {
+      mainWindow = [...chatWindows].pop() || null;
+    }
+    if (!isQuitting) {
+      saveOpenChatsSoon();
+    }
+  });
+
+  return window;
+}
+
+// Command-line options
+const commandLineUsage = `Usage: gemini-desktop [options]
+
+Options:
+  --ask <text>     Start a new chat and send <text> (use "-" to read it from stdin)
+  --stdin          Read the prompt to send from stdin (e.g. echo "..." | gemini-desktop --stdin)
+  --new-chat       Start a new chat
+  --show           Show and focus the window
+  --toggle         Show the window, or hide it if it is already focused
+  --hidden         Start minimized to the tray
+  --help           Print this help and exit
+  gemini-desktop://...  Open a deep link (ask?q=<text>, chat/<id>, new)
+
+If Gemini Desktop is already running, the options are forwarded to it.`;
+
+// Parse our options out of argv (Chromium switches and unknown arguments are ignored)
+function parseCommandLine(argv) {
+  const args = argv.slice(app.isPackaged ? 1 : 2);
+  const options = { hidden: false, show: false, toggle: false, newChat: false, stdin: false, help: false, ask: null, url: null };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--ask') {
+      options.ask = i + 1 < args.length ? args[++i] : '';
+    } else if (arg.startsWith('--ask=')) {
+      options.ask = arg.slice('--ask='.length);
+    } else if (arg === '--stdin') {
+      options.stdin = true;
+    } else if (arg === '--new-chat') {
+      options.newChat = true;
+    } else if (arg === '--show') {
+      options.show = true;
+    } else if (arg === '--toggle') {
+      options.toggle = true;
+    } else if (arg === '--hidden') {
+      options.hidden = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith(`${PROTOCOL_SCHEME}:`)) {
+      options.url = arg;
+    }
+  }
+
+  if (options.ask === '-') {
+    options.ask = null;
+    options.stdin = true;
+  }
+  return options;
+}
+
+// Read a piped prompt (only when explicitly asked, so a stray open pipe can't block startup)
+function readPromptFromStdin() {
+  try {
+    if (require('tty').isatty(0)) {
+      log.warn('--stdin given but stdin is a terminal; ignoring');
+      return '';
+    }
+    return fs.readFileSync(0, 'utf8').trim();
+  } catch (error) {
+    log.warn('Could not read prompt from stdin:', error.message);
+    return '';
+  }
+}
+
+// Act on launch options, either our own or forwarded from a second instance
+function handleLaunchOptions(options, { firstLaunch = false } = {}) {
+  // Restored chat windows may be showing an old chat, so these always start a new one
+  if (options.url) {
+    openDeepLink(options.url);
+  } else if (options.ask && options.ask.trim()) {
+    sendPromptToGemini(options.ask.trim(), { newChat: true });
+  } else if (options.newChat) {
+    whenUnlocked(() => {
+      showMainWindow();
+      mainWindow.loadURL(GEMINI_URL);
+    });
+  } else if (options.toggle && !firstLaunch) {
+    if (mainWindow && mainWindow.isVisible() && mainWindow.isFocused()) {
+      mainWindow.hide();
+    } else {
+      showMainWindow();
+    }
+  } else if (options.show || !firstLaunch) {
+    // A bare second launch just brings the running app forward
+    showMainWindow();
+  }
+}
+
+const launchOptions = parseCommandLine(process.argv);
+if (launchOptions.help) {
+  console.log(commandLineUsage);
+  app.exit(0);
+}
+if (launchOptions.stdin) {
+  launchOptions.ask = readPromptFromStdin();
+}
+
+// Single instance: later launches forward their (already parsed) options here and exit
+const gotSingleInstanceLock = app.requestSingleInstanceLock({ launchOptions });
+if (!gotSingleInstanceLock) {
+  app.quit();
+} else {
+  app.on('second-instance', (event, argv, workingDirectory, additionalData) => {
+    const forwarded = additionalData && additionalData.launchOptions
+      ? additionalData.launchOptions
+      : parseCommandLine(argv);
+    if (app.isReady()) {
+      handleLaunchOptions(forwarded);
+    }
   });
 }
 
+// macOS delivers deep links through open-url rather than argv
+app.on('open-url', (event, url) => {
+  event.preventDefault();
+  if (app.isReady() && mainWindow) {
+    openDeepLink(url);
+  } else {
+    launchOptions.url = url;
+  }
+});
+
 // This method will be called when Electron has finished initialization
 app.whenReady().then(() => {
+  // Another instance is already running and has our options
+  if (!gotSingleInstanceLock) {
+    return;
+  }
+
+  // Managed policy first: its defaults seed the settings and its forced values override them
+  loadManagedPolicy();
+
   // Load settings
-  settings = loadSettings();
+  settings = applyForcedSettings(loadSettings());
+  log.setLevel(settings.logLevel);
+  log.info(`Gemini Desktop ${app.getVersion()} (Electron ${process.versions.electron}, ${process.platform} ${process.getSystemVersion()})`);
   
   // Check encryption availability
   checkEncryptionAvailable();
   
+  settings.promptTemplates = promptTemplates.normalizeTemplates(settings.promptTemplates);
+
+  // Fall back to the default profile if the saved one is gone
+  if (!settings.profiles.some(profile => profile.id === settings.activeProfile)) {
+    settings.activeProfile = DEFAULT_PROFILE_ID;
+  }
+
+  // Tracker filter lists and TLS policy (before any session starts loading)
+  loadFilterLists();
+  watchFilterLists();
+  loadTrustedCaBundle();
+  loadCustomizations();
+  watchCustomizations();
+  const savedTlsAudit = secureStore.load(tlsAuditPath, []);
+  tlsAuditLog = tlsPolicy.createAuditLog(TLS_AUDIT_LOG_SIZE, Array.isArray(savedTlsAudit) ? savedTlsAudit : []);
+
   // Configure secure session settings
   configureSecureSession();
 
+  // Clear sensitive data periodically from memory (every 30 minutes)
+  setInterval(() => {
+    if (global.gc) {
+      global.gc();
+    }
+  }, 30 * 60 * 1000);
+
   // Create system tray
   createTray();
 
-  // Create main window
-  createWindow();
+  // Start locked when an app lock passphrase is set, and lock again when idle
+  appLockRecord = loadAppLockRecord();
+  lockApp();
+  setInterval(checkIdleLock, APP_LOCK_IDLE_CHECK_INTERVAL);
+
+  // Follow the connection for the tray tooltip and to retry failed pages when it comes back
+  checkConnectivity();
+  setInterval(checkConnectivity, CONNECTIVITY_CHECK_INTERVAL);
+
+  // Look for a newer release in the background
+  scheduleUpdateChecks();
+
+  // Create chat windows (reopening the ones from the last session)
+  restoreChatWindows();
+
+  // Quick Ask popup and its global hotkey
+  setupQuickAskIpc();
+  registerQuickAskShortcut();
 
   // Sync auto-launch setting
   updateAutoLaunch();
 
+  // Handle gemini-desktop:// links
+  registerProtocolHandler();
+
+  // Keep the window on a connected display when monitors change
+  screen.on('display-removed', ensureWindowsVisible);
+  screen.on('display-metrics-changed', ensureWindowsVisible);
+
+  // Apply command-line options (--ask, --new-chat, ...)
+  handleLaunchOptions(launchOptions, { firstLaunch: true });
+
+  // Tell the user if their settings were reset
+  if (settingsLoadWarning) {
+    showMessage('Settings Reset', settingsLoadWarning, 'warning');
+  }
+  if (policyLoadWarning) {
+    showMessage('Managed Policy', policyLoadWarning, 'error');
+  }
+
   app.on('activate', () => {
     // On macOS re-create window when dock icon is clicked
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -589,6 +4674,28 @@ app.on('before-quit', () => {
   isQuitting = true;
 });
 
+// Release global hotkeys, stop watching folders and write pending archive, download and draft changes
+app.on('will-quit', () => {
+  globalShortcut.unregisterAll();
+  if (filterListWatcher) {
+    filterListWatcher.close();
+  }
+  if (customizationsWatcher) {
+    customizationsWatcher.close();
+  }
+  flushArchives();
+  if (downloadHistorySaveTimer) {
+    saveDownloadHistory();
+  }
+  if (promptDraftsSaveTimer) {
+    savePromptDrafts();
+  }
+  if (openChatsTimer) {
+    clearTimeout(openChatsTimer);
+    saveSettings(settings);
+  }
+});
+
 // Quit when all windows are closed (except on macOS or if minimize to tray is enabled)
 app.on('window-all-closed', () => {
   // Don't quit if we have minimize to tray enabled
@@ -599,6 +4706,11 @@ app.on('window-all-closed', () => {
 
 // Security: Prevent new window creation from web content
 app.on('web-contents-created', (event, contents) => {
+  // DevTools turned off by policy also stay closed when opened by shortcut
+  if (policy.disableDevTools) {
+    contents.on('devtools-opened', () => contents.closeDevTools());
+  }
+
   // Disable navigation to unwanted URLs
   contents.on('will-navigate', (event, navigationUrl) => {
     const parsedUrl = new URL(navigationUrl);
@@ -620,16 +4732,24 @@ app.on('web-contents-created', (event, contents) => {
   });
 });
 
-// Handle certificate errors - be strict in production
-app.on('certificate-error', (event, webContents, url, error, certificate, callback) => {
-  // Only allow Google's certificates, reject all others
-  const parsedUrl = new URL(url);
-  if (parsedUrl.hostname.endsWith('google.com') || 
-      parsedUrl.hostname.endsWith('googleapis.com') ||
-      parsedUrl.hostname.endsWith('gstatic.com')) {
-    event.preventDefault();
-    callback(true);
-  } else {
-    callback(false);
+// Proxy authentication for chat windows (other logins keep Electron's default of cancelling)
+app.on('login', (event, webContents, details, authInfo, callback) => {
+  if (!authInfo.isProxy) {
+    return;
   }
+  event.preventDefault();
+  const profileId = (webContents && sessionProfileIds.get(webContents.session)) || settings.activeProfile;
+  getProxyCredentials(profileId, authInfo).then(credentials => {
+    if (credentials) {
+      callback(credentials.username, credentials.password);
+    } else {
+      callback();
+    }
+  });
+});
+
+// Certificate errors: never override Chromium's rejection (verifyCertificate has already
+// accepted anything the trusted CA bundle vouches for, and logged the failure)
+app.on('certificate-error', (event, webContents, url, error, certificate, callback) => {
+  callback(false);
 });
@@ -0,0 +1,12 @@
+// Preload script for the conversation archive window
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('archive', {
+  info: () => ipcRenderer.invoke('archive:info'),
+  search: (query) => ipcRenderer.invoke('archive:search', query),
+  get: (chatId) => ipcRenderer.invoke('archive:get', chatId),
+  remove: (chatId) => ipcRenderer.invoke('archive:delete', chatId),
+  open: (chatId) => ipcRenderer.send('archive:open', chatId),
+  onChanged: (callback) => ipcRenderer.on('archive:changed', () => callback())
+});
@@ -0,0 +1,105 @@
+// Conversation archive window
+
+const queryInput = document.getElementById('query');
+const resultsList = document.getElementById('results');
+const viewer = document.getElementById('viewer');
+const status = document.getElementById('status');
+
+let selectedChatId = null;
+let searchTimer = null;
+
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) {
+    node.className = className;
+  }
+  if (text !== undefined) {
+    node.textContent = text;
+  }
+  return node;
+}
+
+function showEmpty(container, text) {
+  container.replaceChildren(element('div', 'empty', text));
+}
+
+async function refreshStatus() {
+  const info = await window.archive.info();
+  let text = `${info.profileName}: ${info.count} conversation${info.count === 1 ? '' : 's'}`;
+  if (!info.encryptionAvailable) {
+    text += ' (archiving needs system encryption)';
+  } else if (!info.enabled) {
+    text += ' (archiving is off)';
+  }
+  status.textContent = text;
+}
+
+async function runSearch() {
+  const results = await window.archive.search(queryInput.value);
+  if (results.length === 0) {
+    showEmpty(resultsList, queryInput.value ? 'No matches.' : 'The archive is empty.');
+    return;
+  }
+
+  resultsList.replaceChildren(...results.map(result => {
+    const item = element('li', result.chatId === selectedChatId ? 'selected' : '');
+    item.append(
+      element('div', 'result-title', result.title),
+      element('div', 'result-date', new Date(result.updatedAt).toLocaleString()),
+      element('div', 'result-snippet', result.snippet)
+    );
+    item.addEventListener('click', () => showConversation(result.chatId));
+    return item;
+  }));
+}
+
+async function showConversation(chatId) {
+  selectedChatId = chatId;
+  for (const item of resultsList.querySelectorAll('li')) {
+    item.classList.remove('selected');
+  }
+
+  const conversation = await window.archive.get(chatId);
+  if (!conversation) {
+    showEmpty(viewer, 'This conversation is no longer in the archive.');
+    return;
+  }
+
+  const openButton = element('button', '', 'Open in Gemini');
+  openButton.addEventListener('click', () => window.archive.open(chatId));
+  const deleteButton = element('button', '', 'Remove from Archive');
+  deleteButton.addEventListener('click', async () => {
+    await window.archive.remove(chatId);
+    selectedChatId = null;
+    showEmpty(viewer, 'Conversation removed.');
+    await Promise.all([runSearch(), refreshStatus()]);
+  });
+
+  const actions = element('div', 'actions');
+  actions.append(openButton, deleteButton);
+
+  const turns = conversation.turns.map(turn => {
+    const block = element('div', `turn ${turn.role}`);
+    block.append(element('h3', '', turn.role === 'user' ? 'You' : 'Gemini'), element('div', '', turn.text));
+    return block;
+  });
+
+  viewer.replaceChildren(element('h2', '', conversation.title), actions, ...turns);
+  viewer.scrollTop = 0;
+  await runSearch();
+}
+
+queryInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, 150);
+});
+
+window.archive.onChanged(() => {
+  selectedChatId = null;
+  showEmpty(viewer, 'Select a conversation to read it offline.');
+  refreshStatus();
+  runSearch();
+});
+
+refreshStatus();
+runSearch();
@@ -0,0 +1,15 @@
+// Preload script for the Certificates window
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('certificates', {
+  get: () => ipcRenderer.invoke('certificates:get'),
+  setPinning: (enabled) => ipcRenderer.invoke('certificates:set-pinning', enabled),
+  addPin: (pin) => ipcRenderer.invoke('certificates:add-pin', pin),
+  removePin: (pin) => ipcRenderer.invoke('certificates:remove-pin', pin),
+  pinObserved: () => ipcRenderer.invoke('certificates:pin-observed'),
+  chooseBundle: () => ipcRenderer.invoke('certificates:choose-bundle'),
+  clearBundle: () => ipcRenderer.invoke('certificates:clear-bundle'),
+  clearLog: () => ipcRenderer.invoke('certificates:clear-log'),
+  onChanged: (callback) => ipcRenderer.on('certificates:changed', () => callback())
+});
@@ -0,0 +1,102 @@
+// Certificates window: audit log of rejected certificates, SPKI pins and the trusted CA bundle
+
+const logBody = document.getElementById('log');
+const logEmpty = document.getElementById('log-empty');
+const pinList = document.getElementById('pins');
+const observedList = document.getElementById('observed');
+const errorText = document.getElementById('error');
+const pinInput = document.getElementById('add-pin');
+const pinningCheckbox = document.getElementById('pinning');
+
+function cell(text, className) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  if (className) {
+    td.className = className;
+  }
+  return td;
+}
+
+function code(text) {
+  const element = document.createElement('code');
+  element.textContent = text;
+  return element;
+}
+
+function showResult(result) {
+  errorText.textContent = result && !result.valid ? result.error : '';
+  return !result || result.valid;
+}
+
+async function render() {
+  const state = await window.certificates.get();
+
+  logEmpty.hidden = state.log.length > 0;
+  logBody.replaceChildren(...state.log.map(entry => {
+    const row = document.createElement('tr');
+    const host = cell(entry.host, 'host');
+    const detail = document.createElement('small');
+    detail.textContent = [entry.subject, entry.issuer && `issued by ${entry.issuer}`, entry.fingerprint]
+      .filter(Boolean).join(' · ');
+    host.append(detail);
+    row.append(host, cell(entry.error), cell(String(entry.count), 'count'),
+      cell(new Date(entry.time).toLocaleString()));
+    return row;
+  }));
+
+  document.getElementById('pinnable').textContent =
+    `Applies to ${state.pinnableDomains.join(', ')} and their subdomains. A connection is allowed when any certificate in its chain has a pinned key.`;
+  pinningCheckbox.checked = state.pinningEnabled;
+  pinningCheckbox.disabled = state.managed.pinning;
+  for (const element of document.getElementById('add-form').elements) {
+    element.disabled = state.managed.pins;
+  }
+  document.getElementById('pins-empty').hidden = state.pins.length > 0;
+  pinList.replaceChildren(...state.pins.map(pin => {
+    const item = document.createElement('li');
+    const remove = document.createElement('button');
+    remove.textContent = 'Remove';
+    remove.disabled = state.managed.pins;
+    remove.addEventListener('click', () => window.certificates.removePin(pin));
+    item.append(code(pin), remove);
+    return item;
+  }));
+
+  observedList.replaceChildren(...(state.observedChain.length > 0
+    ? state.observedChain.map(cert => {
+      const item = document.createElement('li');
+      const text = document.createElement('div');
+      text.textContent = cert.subject;
+      text.append(document.createElement('br'), code(cert.pin));
+      item.append(text);
+      return item;
+    })
+    : [Object.assign(document.createElement('li'), { className: 'note', textContent: 'Not seen yet. Load a Gemini page first.' })]));
+  document.getElementById('pin-observed').disabled = state.observedChain.length === 0 || state.managed.pins;
+
+  document.getElementById('bundle-path').textContent = state.bundlePath
+    ? `${state.bundlePath} (${state.bundleCount} CA${state.bundleCount === 1 ? '' : 's'})`
+    : 'None';
+  document.getElementById('bundle-error').textContent = state.bundleError || '';
+  document.getElementById('choose-bundle').disabled = state.managed.bundle;
+  document.getElementById('clear-bundle').disabled = !state.bundlePath || state.managed.bundle;
+}
+
+pinningCheckbox.addEventListener('change', () => window.certificates.setPinning(pinningCheckbox.checked));
+
+document.getElementById('add-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (showResult(await window.certificates.addPin(pinInput.value))) {
+    pinInput.value = '';
+  }
+});
+
+document.getElementById('pin-observed').addEventListener('click', async () => {
+  showResult(await window.certificates.pinObserved());
+});
+document.getElementById('choose-bundle').addEventListener('click', () => window.certificates.chooseBundle());
+document.getElementById('clear-bundle').addEventListener('click', () => window.certificates.clearBundle());
+document.getElementById('clear-log').addEventListener('click', () => window.certificates.clearLog());
+
+window.certificates.onChanged(render);
+render();
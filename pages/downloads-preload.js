@@ -0,0 +1,17 @@
+// Preload script for the Downloads window
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('downloads', {
+  get: () => ipcRenderer.invoke('downloads:get'),
+  open: (id) => ipcRenderer.invoke('downloads:open', id),
+  reveal: (id) => ipcRenderer.invoke('downloads:reveal', id),
+  cancel: (id) => ipcRenderer.invoke('downloads:cancel', id),
+  remove: (id) => ipcRenderer.invoke('downloads:remove', id),
+  clear: () => ipcRenderer.invoke('downloads:clear'),
+  openFolder: () => ipcRenderer.invoke('downloads:open-folder'),
+  chooseFolder: () => ipcRenderer.invoke('downloads:choose-folder'),
+  resetFolder: () => ipcRenderer.invoke('downloads:reset-folder'),
+  setAskWhereToSave: (ask) => ipcRenderer.invoke('downloads:set-ask', ask),
+  onChanged: (callback) => ipcRenderer.on('downloads:changed', () => callback())
+});
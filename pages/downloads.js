@@ -0,0 +1,113 @@
+// Downloads window: past and running downloads, and where new ones are saved
+
+const list = document.getElementById('list');
+const errorText = document.getElementById('error');
+const askCheckbox = document.getElementById('ask');
+
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+function describeStatus(entry) {
+  const source = entry.source ? ` · ${entry.source}` : '';
+  switch (entry.state) {
+    case 'progressing':
+      return entry.totalBytes > 0
+        ? `${formatBytes(entry.receivedBytes)} of ${formatBytes(entry.totalBytes)}${source}`
+        : `${formatBytes(entry.receivedBytes)}${source}`;
+    case 'completed':
+      return `${entry.exists ? formatBytes(entry.totalBytes || entry.receivedBytes) : 'Moved or deleted'} · ${new Date(entry.finishedAt).toLocaleString()}${source}`;
+    case 'cancelled':
+      return `Cancelled${source}`;
+    default:
+      return `Failed${source}`;
+  }
+}
+
+function button(label, onClick) {
+  const element = document.createElement('button');
+  element.textContent = label;
+  element.addEventListener('click', onClick);
+  return element;
+}
+
+function showResult(result) {
+  errorText.textContent = result && !result.valid ? `This folder ${result.error}.` : '';
+}
+
+async function render() {
+  const state = await window.downloads.get();
+
+  document.getElementById('directory').textContent = state.directory;
+  for (const id of ['choose-folder', 'reset-folder']) {
+    document.getElementById(id).disabled = state.managed.directory;
+  }
+  askCheckbox.checked = state.askWhereToSave;
+  askCheckbox.disabled = state.managed.askWhereToSave;
+
+  document.getElementById('empty').hidden = state.entries.length > 0;
+  list.replaceChildren(...state.entries.map(entry => {
+    const item = document.createElement('li');
+    item.className = entry.state === 'completed' && !entry.exists ? 'missing' : '';
+
+    const details = document.createElement('div');
+    details.className = 'details';
+    const name = document.createElement('div');
+    name.className = 'name';
+    name.textContent = entry.fileName;
+    name.title = entry.savePath;
+    const status = document.createElement('div');
+    status.className = 'status';
+    status.textContent = describeStatus(entry);
+    details.append(name);
+    if (entry.state === 'progressing') {
+      const progress = document.createElement('progress');
+      if (entry.totalBytes > 0) {
+        progress.max = entry.totalBytes;
+        progress.value = entry.receivedBytes;
+      }
+      details.append(progress);
+    }
+    details.append(status);
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    if (entry.state === 'progressing') {
+      actions.append(button('Cancel', () => window.downloads.cancel(entry.id)));
+    } else {
+      if (entry.exists) {
+        actions.append(
+          button('Open', async () => {
+            errorText.textContent = await window.downloads.open(entry.id);
+          }),
+          button('Show in Folder', () => window.downloads.reveal(entry.id))
+        );
+      }
+      actions.append(button('Remove', () => window.downloads.remove(entry.id)));
+    }
+
+    item.append(details, actions);
+    return item;
+  }));
+}
+
+askCheckbox.addEventListener('change', async () => showResult(await window.downloads.setAskWhereToSave(askCheckbox.checked)));
+document.getElementById('open-folder').addEventListener('click', async () => {
+  errorText.textContent = await window.downloads.openFolder();
+});
+document.getElementById('choose-folder').addEventListener('click', async () => showResult(await window.downloads.chooseFolder()));
+document.getElementById('reset-folder').addEventListener('click', async () => showResult(await window.downloads.resetFolder()));
+document.getElementById('clear').addEventListener('click', () => window.downloads.clear());
+
+window.downloads.onChanged(render);
+render();
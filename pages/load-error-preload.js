@@ -0,0 +1,9 @@
+// Preload script for the page shown over a chat window that failed to load
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('loadError', {
+  get: () => ipcRenderer.invoke('load-error:get'),
+  retry: () => ipcRenderer.send('load-error:retry'),
+  onChanged: (callback) => ipcRenderer.on('load-error:changed', () => callback())
+});
@@ -0,0 +1,32 @@
+// Shown over a chat window whose page failed to load; main retries on a backoff schedule
+
+const statusText = document.getElementById('status');
+let retryAt = null;
+
+function updateCountdown() {
+  if (retryAt === null) {
+    statusText.textContent = 'Retrying...';
+    return;
+  }
+  const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+  statusText.textContent = seconds >= 60
+    ? `Retrying in ${Math.floor(seconds / 60)} min ${seconds % 60} s`
+    : `Retrying in ${seconds} s`;
+}
+
+async function render() {
+  const state = await window.loadError.get();
+  document.getElementById('title').textContent = state.offline ? 'You are offline' : 'Can\'t reach Gemini';
+  document.getElementById('reason').textContent = state.reason;
+  retryAt = state.retryAt;
+  updateCountdown();
+}
+
+document.getElementById('retry').addEventListener('click', () => window.loadError.retry());
+
+// Don't wait for the countdown once the connection is back
+window.addEventListener('online', () => window.loadError.retry());
+
+window.loadError.onChanged(render);
+setInterval(updateCountdown, 1000);
+render();
@@ -0,0 +1,7 @@
+// Preload script for the app lock overlay
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('appLock', {
+  unlock: (passphrase) => ipcRenderer.invoke('lock:unlock', passphrase)
+});
@@ -0,0 +1,33 @@
+// App lock overlay shown over each chat window
+
+const form = document.getElementById('form');
+const input = document.getElementById('passphrase');
+const unlockButton = document.getElementById('unlock');
+const errorText = document.getElementById('error');
+
+// Keep the button disabled while main is making us wait after failed attempts
+function waitBeforeRetry(milliseconds) {
+  unlockButton.disabled = true;
+  setTimeout(() => {
+    unlockButton.disabled = false;
+    input.focus();
+  }, milliseconds);
+}
+
+form.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (unlockButton.disabled || !input.value) {
+    return;
+  }
+
+  unlockButton.disabled = true;
+  const result = await window.appLock.unlock(input.value);
+  if (result.unlocked) {
+    return;  // Main removes the overlay
+  }
+  input.value = '';
+  errorText.textContent = result.error;
+  waitBeforeRetry(result.retryAfter || 0);
+});
+
+window.addEventListener('focus', () => input.focus());
@@ -0,0 +1,12 @@
+// Preload script for the Network Activity window
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('network', {
+  get: () => ipcRenderer.invoke('network:get'),
+  allow: (domain) => ipcRenderer.invoke('network:allow', domain),
+  remove: (domain) => ipcRenderer.invoke('network:remove', domain),
+  reset: () => ipcRenderer.invoke('network:reset'),
+  clearLog: () => ipcRenderer.invoke('network:clear-log'),
+  onChanged: (callback) => ipcRenderer.on('network:changed', () => callback())
+});
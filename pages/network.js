@@ -0,0 +1,82 @@
+// Network Activity window: blocked request log and the profile's allowlist
+
+const blockedBody = document.getElementById('blocked');
+const blockedEmpty = document.getElementById('blocked-empty');
+const allowlist = document.getElementById('allowlist');
+const errorText = document.getElementById('error');
+const domainInput = document.getElementById('add-domain');
+
+function cell(text, className) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  if (className) {
+    td.className = className;
+  }
+  return td;
+}
+
+async function allow(domain) {
+  const result = await window.network.allow(domain);
+  errorText.textContent = result.valid ? '' : result.error;
+  return result.valid;
+}
+
+async function render() {
+  const { profileName, allowedDomains, isDefaultList, managed, blocked } = await window.network.get();
+
+  document.getElementById('subtitle').textContent =
+    `Requests blocked for the "${profileName}" profile because their host is not allowed.`;
+
+  blockedEmpty.hidden = blocked.length > 0;
+  blockedBody.replaceChildren(...blocked.map(entry => {
+    const row = document.createElement('tr');
+    const host = cell(entry.host, 'host');
+    const url = document.createElement('small');
+    url.textContent = entry.lastUrl;
+    host.append(url);
+
+    const allowButton = document.createElement('button');
+    allowButton.textContent = 'Allow';
+    allowButton.title = `Add ${entry.host} to the allowlist`;
+    allowButton.disabled = managed;
+    allowButton.addEventListener('click', () => allow(entry.host));
+    const action = document.createElement('td');
+    action.append(allowButton);
+
+    row.append(host, cell(entry.resourceType), cell(String(entry.count), 'count'),
+      cell(new Date(entry.lastSeen).toLocaleTimeString()), action);
+    return row;
+  }));
+
+  allowlist.replaceChildren(...allowedDomains.map(domain => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    name.textContent = domain;
+    const remove = document.createElement('button');
+    remove.textContent = 'Remove';
+    remove.disabled = managed;
+    remove.addEventListener('click', () => window.network.remove(domain));
+    item.append(name, remove);
+    return item;
+  }));
+  document.getElementById('reset').disabled = isDefaultList || managed;
+  for (const element of document.getElementById('add-form').elements) {
+    element.disabled = managed;
+  }
+  document.getElementById('allowlist-note').textContent = managed
+    ? 'Managed by your administrator for all profiles.'
+    : 'Subdomains are included.';
+}
+
+document.getElementById('add-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (await allow(domainInput.value)) {
+    domainInput.value = '';
+  }
+});
+
+document.getElementById('reset').addEventListener('click', () => window.network.reset());
+document.getElementById('clear-log').addEventListener('click', () => window.network.clearLog());
+
+window.network.onChanged(render);
+render();
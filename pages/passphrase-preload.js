@@ -0,0 +1,9 @@
+// Preload script for the app lock passphrase dialog
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('passphrase', {
+  getOptions: () => ipcRenderer.invoke('passphrase:get-options'),
+  submit: (action, input) => ipcRenderer.invoke('passphrase:submit', action, input),
+  cancel: () => ipcRenderer.send('passphrase:cancel')
+});
@@ -0,0 +1,47 @@
+// App lock passphrase dialog: set a passphrase, or change or remove the current one
+
+const form = document.getElementById('form');
+const current = document.getElementById('current');
+const passphrase = document.getElementById('passphrase');
+const confirmation = document.getElementById('confirm');
+const errorText = document.getElementById('error');
+let minLength = 4;
+
+window.passphrase.getOptions().then((options) => {
+  minLength = options.minLength;
+  const isSet = options.mode === 'set';
+  document.getElementById('current-field').hidden = isSet;
+  document.getElementById('remove').hidden = isSet;
+  document.getElementById('message').textContent = (isSet
+    ? 'Choose a passphrase or PIN. Gemini Desktop will ask for it on startup and when locked.'
+    : 'Enter your current passphrase to change it or turn the app lock off.') +
+    (options.encryptionAvailable ? '' : ' System encryption is not available, so its hash is stored unencrypted.');
+  (isSet ? passphrase : current).focus();
+});
+
+async function submit(action) {
+  const result = await window.passphrase.submit(action, { current: current.value, passphrase: passphrase.value });
+  if (!result.valid) {
+    errorText.textContent = result.error;
+  }
+}
+
+form.addEventListener('submit', (event) => {
+  event.preventDefault();
+  if (passphrase.value.length < minLength) {
+    errorText.textContent = `Use at least ${minLength} characters.`;
+  } else if (passphrase.value !== confirmation.value) {
+    errorText.textContent = 'The new passphrases do not match.';
+  } else {
+    submit('save');
+  }
+});
+
+document.getElementById('remove').addEventListener('click', () => submit('remove'));
+document.getElementById('cancel').addEventListener('click', () => window.passphrase.cancel());
+
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    window.passphrase.cancel();
+  }
+});
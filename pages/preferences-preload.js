@@ -0,0 +1,9 @@
+// Preload script for the Preferences window
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('preferences', {
+  get: () => ipcRenderer.invoke('preferences:get'),
+  set: (key, value) => ipcRenderer.invoke('preferences:set', key, value),
+  onChanged: (callback) => ipcRenderer.on('preferences:changed', () => callback())
+});
@@ -0,0 +1,172 @@
+// Preferences window: one control per editable setting, saved as soon as it changes
+
+const form = document.getElementById('form');
+let platform = '';
+
+// Build an Electron accelerator from a key press (null while only modifiers are held)
+function acceleratorFromEvent(event) {
+  const modifiers = [];
+  if (event.ctrlKey || event.metaKey) {
+    modifiers.push(platform === 'darwin' && event.metaKey ? 'Command' : 'CommandOrControl');
+  }
+  if (event.altKey) {
+    modifiers.push('Alt');
+  }
+  if (event.shiftKey) {
+    modifiers.push('Shift');
+  }
+
+  const named = { ' ': 'Space', '+': 'Plus', ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right' };
+  if (['Control', 'Meta', 'Alt', 'Shift'].includes(event.key)) {
+    return null;
+  }
+  const key = named[event.key] || (event.key.length === 1 ? event.key.toUpperCase() : event.key);
+  return [...modifiers, key].join('+');
+}
+
+function showResult(field, result) {
+  const message = field.querySelector('.message');
+  if (!result.valid) {
+    message.className = 'message error';
+    message.textContent = `This value ${result.error}.`;
+  } else if (result.warning) {
+    message.className = 'message warning';
+    message.textContent = result.warning;
+  } else {
+    message.className = 'message';
+    message.textContent = '';
+  }
+}
+
+function createControl(setting, value, field) {
+  const id = `setting-${setting.key}`;
+  const save = async (newValue) => showResult(field, await window.preferences.set(setting.key, newValue));
+
+  if (setting.type === 'boolean') {
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.id = id;
+    input.checked = value;
+    input.addEventListener('change', () => save(input.checked));
+    return [input];
+  }
+
+  if (setting.type === 'integer') {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = id;
+    input.step = '1';
+    input.min = setting.min;
+    input.max = setting.max;
+    input.value = value;
+    input.addEventListener('change', () => save(Number(input.value)));
+    return [input];
+  }
+
+  if (setting.type === 'choice') {
+    const select = document.createElement('select');
+    select.id = id;
+    select.append(...setting.choices.map(choice => new Option(choice[0].toUpperCase() + choice.slice(1), choice)));
+    select.value = value;
+    select.addEventListener('change', () => save(select.value));
+    return [select];
+  }
+
+  if (setting.type === 'accelerator') {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = id;
+    input.readOnly = true;
+    input.placeholder = 'Press a key combination';
+    input.value = value;
+    input.addEventListener('keydown', (event) => {
+      event.preventDefault();
+      if (event.key === 'Tab') {
+        return;
+      }
+      const accelerator = acceleratorFromEvent(event);
+      if (accelerator) {
+        input.value = accelerator;
+        save(accelerator);
+      }
+    });
+
+    const clear = document.createElement('button');
+    clear.textContent = 'Disable';
+    clear.addEventListener('click', () => {
+      input.value = '';
+      save('');
+    });
+    return [input, clear];
+  }
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.id = id;
+  input.value = value;
+  input.addEventListener('change', () => save(input.value));
+  return [input];
+}
+
+async function render() {
+  const { fields, values, managed, platform: currentPlatform } = await window.preferences.get();
+  platform = currentPlatform;
+
+  const content = [];
+  if (managed.length > 0) {
+    const note = document.createElement('p');
+    note.className = 'description';
+    note.textContent = 'Some settings are managed by your administrator and cannot be changed.';
+    content.push(note);
+  }
+  let section = null;
+  for (const setting of fields) {
+    if (setting.section !== section) {
+      section = setting.section;
+      const heading = document.createElement('h2');
+      heading.textContent = section;
+      content.push(heading);
+    }
+
+    const field = document.createElement('div');
+    field.className = setting.type === 'boolean' ? 'field' : 'field text';
+    const label = document.createElement('label');
+    label.htmlFor = `setting-${setting.key}`;
+    label.textContent = setting.label;
+
+    const controls = createControl(setting, values[setting.key], field);
+    if (managed.includes(setting.key)) {
+      controls.forEach(control => {
+        control.disabled = true;
+      });
+      label.title = 'Managed by your administrator';
+    }
+    if (setting.type === 'boolean') {
+      field.append(...controls, label);
+    } else {
+      field.append(label, ...controls);
+    }
+
+    if (setting.description) {
+      const description = document.createElement('div');
+      description.className = 'description';
+      description.textContent = setting.description;
+      field.append(description);
+    }
+    const message = document.createElement('div');
+    message.className = 'message';
+    field.append(message);
+    content.push(field);
+  }
+
+  form.replaceChildren(...content);
+}
+
+// Re-render when settings change elsewhere (tray or application menu)
+window.preferences.onChanged(() => {
+  if (!form.contains(document.activeElement) || document.activeElement === document.body) {
+    render();
+  }
+});
+
+render();
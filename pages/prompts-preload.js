@@ -0,0 +1,11 @@
+// Preload script for the prompt library window
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('prompts', {
+  list: () => ipcRenderer.invoke('prompts:list'),
+  save: (template) => ipcRenderer.invoke('prompts:save', template),
+  remove: (id) => ipcRenderer.invoke('prompts:delete', id),
+  insert: (id, values) => ipcRenderer.send('prompts:insert', { id, values }),
+  onSelect: (callback) => ipcRenderer.on('prompts:select', (event, id) => callback(id))
+});
@@ -0,0 +1,126 @@
+// Prompt library window
+
+const list = document.getElementById('list');
+const nameInput = document.getElementById('name');
+const bodyInput = document.getElementById('body');
+const variables = document.getElementById('variables');
+const errorText = document.getElementById('error');
+
+// Same syntax as lib/prompt-templates.js
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+let templates = [];
+let selectedId = null;
+let managed = false;  // Templates set by the administrator's policy can be inserted but not edited
+const values = {};
+
+function extractPlaceholders(body) {
+  const names = [];
+  for (const match of body.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+function renderList() {
+  list.replaceChildren(...templates.map(template => {
+    const item = document.createElement('li');
+    item.textContent = template.name;
+    item.className = template.id === selectedId ? 'selected' : '';
+    item.addEventListener('click', () => select(template.id));
+    return item;
+  }));
+}
+
+function renderVariables() {
+  const names = extractPlaceholders(bodyInput.value);
+  if (names.length === 0) {
+    const none = document.createElement('span');
+    none.className = 'hint';
+    none.textContent = 'This prompt has no placeholders.';
+    variables.replaceChildren(none);
+    return;
+  }
+
+  variables.replaceChildren(...names.flatMap(name => {
+    const label = document.createElement('label');
+    label.textContent = name;
+    label.htmlFor = `var-${name}`;
+    const input = document.createElement('textarea');
+    input.id = `var-${name}`;
+    input.rows = 1;
+    input.value = values[name] || '';
+    input.addEventListener('input', () => {
+      values[name] = input.value;
+    });
+    return [label, input];
+  }));
+}
+
+function select(id) {
+  const template = templates.find(item => item.id === id);
+  selectedId = template ? template.id : null;
+  nameInput.value = template ? template.name : '';
+  bodyInput.value = template ? template.body : '';
+  errorText.textContent = '';
+  renderList();
+  renderVariables();
+  const firstVariable = variables.querySelector('textarea');
+  (firstVariable || nameInput).focus();
+}
+
+async function save() {
+  errorText.textContent = '';
+  try {
+    selectedId = await window.prompts.save({ id: selectedId, name: nameInput.value, body: bodyInput.value });
+    templates = (await window.prompts.list()).templates;
+    renderList();
+    return true;
+  } catch (error) {
+    errorText.textContent = error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+    return false;
+  }
+}
+
+bodyInput.addEventListener('input', renderVariables);
+
+document.getElementById('new').addEventListener('click', () => select(null));
+document.getElementById('save').addEventListener('click', save);
+
+document.getElementById('delete').addEventListener('click', async () => {
+  if (selectedId) {
+    await window.prompts.remove(selectedId);
+    templates = (await window.prompts.list()).templates;
+  }
+  select(templates.length > 0 ? templates[0].id : null);
+});
+
+// Insert saves first so the menu and library stay in sync with what was used
+document.getElementById('editor').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (managed || await save()) {
+    const filled = {};
+    for (const name of extractPlaceholders(bodyInput.value)) {
+      filled[name] = values[name] || '';
+    }
+    window.prompts.insert(selectedId, filled);
+  }
+});
+
+window.prompts.onSelect(select);
+
+window.prompts.list().then(result => {
+  templates = result.templates;
+  managed = result.managed;
+  select(result.selectId || (templates.length > 0 ? templates[0].id : null));
+  if (managed) {
+    nameInput.readOnly = true;
+    bodyInput.readOnly = true;
+    for (const id of ['new', 'save', 'delete']) {
+      document.getElementById(id).disabled = true;
+    }
+    errorText.textContent = 'These prompts are managed by your administrator.';
+  }
+});
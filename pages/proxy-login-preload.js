@@ -0,0 +1,9 @@
+// Preload script for the proxy authentication dialog
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('proxyLogin', {
+  getOptions: () => ipcRenderer.invoke('proxy-login:get-options'),
+  submit: (credentials) => ipcRenderer.send('proxy-login:submit', credentials),
+  cancel: () => ipcRenderer.send('proxy-login:cancel')
+});
@@ -0,0 +1,30 @@
+// Proxy authentication dialog
+
+const form = document.getElementById('form');
+const username = document.getElementById('username');
+const password = document.getElementById('password');
+const remember = document.getElementById('remember');
+
+window.proxyLogin.getOptions().then(({ host, realm, profileName, username: savedUsername, canRemember }) => {
+  document.getElementById('message').textContent =
+    `The proxy ${host}${realm ? ` ("${realm}")` : ''} requires a user name and password for the "${profileName}" profile.`;
+  username.value = savedUsername;
+  (savedUsername ? password : username).focus();
+  if (!canRemember) {
+    remember.disabled = true;
+    document.getElementById('remember-label').textContent = 'Remember (requires system encryption)';
+  }
+});
+
+form.addEventListener('submit', (event) => {
+  event.preventDefault();
+  window.proxyLogin.submit({ username: username.value, password: password.value, remember: remember.checked });
+});
+
+document.getElementById('cancel').addEventListener('click', () => window.proxyLogin.cancel());
+
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    window.proxyLogin.cancel();
+  }
+});
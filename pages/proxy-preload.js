@@ -0,0 +1,13 @@
+// Preload script for the Proxy Settings window
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('proxy', {
+  get: () => ipcRenderer.invoke('proxy:get'),
+  save: (config) => ipcRenderer.invoke('proxy:save', config),
+  saveCredentials: (credentials) => ipcRenderer.invoke('proxy:save-credentials', credentials),
+  forgetCredentials: () => ipcRenderer.invoke('proxy:forget-credentials'),
+  choosePacFile: () => ipcRenderer.invoke('proxy:choose-pac-file'),
+  test: () => ipcRenderer.invoke('proxy:test'),
+  onChanged: (callback) => ipcRenderer.on('proxy:changed', () => callback())
+});
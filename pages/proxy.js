@@ -0,0 +1,99 @@
+// Proxy Settings window: proxy mode, server or PAC script and saved credentials for the active profile
+
+const serverInput = document.getElementById('server');
+const bypassInput = document.getElementById('bypass');
+const pacInput = document.getElementById('pac-url');
+const usernameInput = document.getElementById('username');
+const passwordInput = document.getElementById('password');
+const connectionMessage = document.getElementById('connection-message');
+const credentialsMessage = document.getElementById('credentials-message');
+
+function selectedMode() {
+  return document.querySelector('input[name="mode"]:checked').value;
+}
+
+function showMessage(element, text, kind = '') {
+  element.textContent = text;
+  element.className = `message ${kind}`;
+}
+
+function updateFields() {
+  const mode = selectedMode();
+  document.getElementById('server-fields').hidden = !['http', 'https', 'socks5'].includes(mode);
+  document.getElementById('pac-fields').hidden = mode !== 'pac';
+}
+
+async function render() {
+  const { profileName, config, username, hasCredentials, canSaveCredentials } = await window.proxy.get();
+
+  document.getElementById('subtitle').textContent = `Settings for the "${profileName}" profile.`;
+  document.querySelector(`input[name="mode"][value="${config.mode}"]`).checked = true;
+  serverInput.value = config.server || '';
+  bypassInput.value = (config.bypass || []).join(', ');
+  pacInput.value = config.pacUrl || '';
+  updateFields();
+
+  usernameInput.value = username;
+  passwordInput.value = '';
+  passwordInput.placeholder = hasCredentials ? 'Saved' : '';
+  document.getElementById('forget-credentials').disabled = !hasCredentials;
+  document.getElementById('save-credentials').disabled = !canSaveCredentials;
+  showMessage(credentialsMessage, canSaveCredentials
+    ? 'Used when the proxy asks for a login; otherwise you are asked when needed.'
+    : 'Credentials can only be saved when system encryption is available.');
+}
+
+async function apply() {
+  const result = await window.proxy.save({
+    mode: selectedMode(),
+    server: serverInput.value,
+    bypass: bypassInput.value,
+    pacUrl: pacInput.value
+  });
+  if (result.valid) {
+    showMessage(connectionMessage, 'Applied.', 'ok');
+  } else {
+    showMessage(connectionMessage, result.error, 'error');
+  }
+  return result.valid;
+}
+
+for (const radio of document.querySelectorAll('input[name="mode"]')) {
+  radio.addEventListener('change', updateFields);
+}
+
+document.getElementById('choose-pac').addEventListener('click', async () => {
+  const file = await window.proxy.choosePacFile();
+  if (file) {
+    pacInput.value = file;
+  }
+});
+
+document.getElementById('apply').addEventListener('click', apply);
+
+document.getElementById('test').addEventListener('click', async () => {
+  if (!(await apply())) {
+    return;
+  }
+  showMessage(connectionMessage, 'Testing...');
+  const result = await window.proxy.test();
+  showMessage(connectionMessage, `${result.message} (route: ${result.proxy})`, result.ok ? 'ok' : 'error');
+});
+
+document.getElementById('save-credentials').addEventListener('click', async () => {
+  const result = await window.proxy.saveCredentials({ username: usernameInput.value, password: passwordInput.value });
+  if (result.valid) {
+    render();
+    showMessage(credentialsMessage, 'Saved.', 'ok');
+  } else {
+    showMessage(credentialsMessage, result.error, 'error');
+  }
+});
+
+document.getElementById('forget-credentials').addEventListener('click', async () => {
+  await window.proxy.forgetCredentials();
+  render();
+});
+
+window.proxy.onChanged(render);
+render();
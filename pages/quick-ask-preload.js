@@ -0,0 +1,9 @@
+// Preload script for the Quick Ask popup
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('quickAsk', {
+  submit: (text) => ipcRenderer.send('quick-ask:submit', text),
+  dismiss: () => ipcRenderer.send('quick-ask:dismiss'),
+  onShown: (callback) => ipcRenderer.on('quick-ask:shown', () => callback())
+});
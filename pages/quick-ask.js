@@ -0,0 +1,23 @@
+// Quick Ask popup behaviour
+
+const prompt = document.getElementById('prompt');
+
+prompt.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter' && !event.shiftKey && !event.isComposing) {
+    event.preventDefault();
+    const text = prompt.value.trim();
+    if (text) {
+      window.quickAsk.submit(text);
+      prompt.value = '';
+    }
+  } else if (event.key === 'Escape') {
+    event.preventDefault();
+    window.quickAsk.dismiss();
+  }
+});
+
+// Select any leftover text so typing replaces it
+window.quickAsk.onShown(() => {
+  prompt.focus();
+  prompt.select();
+});
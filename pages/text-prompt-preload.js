@@ -0,0 +1,9 @@
+// Preload script for the single-line text prompt dialog
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('textPrompt', {
+  getOptions: () => ipcRenderer.invoke('text-prompt:get-options'),
+  submit: (text) => ipcRenderer.send('text-prompt:submit', text),
+  cancel: () => ipcRenderer.send('text-prompt:cancel')
+});
@@ -0,0 +1,23 @@
+// Single-line text prompt dialog
+
+const form = document.getElementById('form');
+const input = document.getElementById('value');
+
+window.textPrompt.getOptions().then(({ message, value }) => {
+  document.getElementById('message').textContent = message;
+  input.value = value;
+  input.select();
+});
+
+form.addEventListener('submit', (event) => {
+  event.preventDefault();
+  window.textPrompt.submit(input.value);
+});
+
+document.getElementById('cancel').addEventListener('click', () => window.textPrompt.cancel());
+
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    window.textPrompt.cancel();
+  }
+});
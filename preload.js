@@ -3,6 +3,22 @@
 
 const { contextBridge, ipcRenderer } = require('electron');
 
+// Selectors for the Gemini prompt box and send button (first match wins)
+const PROMPT_INPUT_SELECTORS = [
+  'rich-textarea .ql-editor[contenteditable="true"]',
+  'div[contenteditable="true"][role="textbox"]',
+  'textarea'
+];
+const SEND_BUTTON_SELECTORS = [
+  'button.send-button',
+  'button[aria-label*="Send"]'
+];
+// Shown in place of the send button while Gemini is answering
+const STOP_BUTTON_SELECTORS = [
+  'button.send-button.stop',
+  'button[aria-label*="Stop"]'
+];
+
 // Expose protected methods for the renderer process
 contextBridge.exposeInMainWorld('electronAPI', {
   // Add any IPC methods if needed in the future
@@ -14,5 +30,388 @@ contextBridge.exposeInMainWorld('electronAPI', {
   }
 });
 
+function findElement(selectors) {
+  for (const selector of selectors) {
+    const element = document.querySelector(selector);
+    if (element) {
+      return element;
+    }
+  }
+  return null;
+}
+
+// Gemini renders its UI after load, so poll until the element shows up
+function waitForElement(selectors, timeout = 15000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+      const element = findElement(selectors);
+      if (element) {
+        resolve(element);
+      } else if (Date.now() - started > timeout) {
+        reject(new Error(`Timed out waiting for ${selectors[0]}`));
+      } else {
+        setTimeout(check, 100);
+      }
+    };
+    check();
+  });
+}
+
+// Put text into the prompt box and optionally send it
+async function insertPrompt(text, submit) {
+  const input = await waitForElement(PROMPT_INPUT_SELECTORS);
+  input.focus();
+
+  if (input.tagName === 'TEXTAREA') {
+    input.value = input.value ? `${input.value}\n${text}` : text;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  } else {
+    // insertText goes through the editor's own input handling
+    document.execCommand('insertText', false, text);
+  }
+
+  if (submit) {
+    // The send button is enabled once the editor has processed the input
+    const button = await waitForElement(SEND_BUTTON_SELECTORS, 5000);
+    setTimeout(() => {
+      if (!button.disabled) {
+        button.click();
+      }
+    }, 150);
+  }
+}
+
+// Conversation extraction (File > Export Conversation...)
+
+// Tags kept when copying a response's HTML into an export; everything else is unwrapped
+const EXPORT_ALLOWED_TAGS = new Set([
+  'P', 'BR', 'HR', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'PRE', 'CODE',
+  'STRONG', 'B', 'EM', 'I', 'S', 'DEL', 'BLOCKQUOTE', 'A', 'IMG', 'TABLE', 'THEAD', 'TBODY',
+  'TR', 'TH', 'TD', 'SUP', 'SUB', 'SPAN', 'DIV'
+]);
+const EXPORT_DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'BUTTON', 'MAT-ICON', 'SVG', 'TEMPLATE', 'NOSCRIPT']);
+
+function isSafeUrl(url, allowDataImages = false) {
+  return /^https?:\/\//i.test(url) || (allowDataImages && /^data:image\//i.test(url));
+}
+
+// Language of a code block: Gemini shows it in the block header, markdown renderers use a class
+function getCodeLanguage(pre) {
+  const code = pre.querySelector('code');
+  const match = code && /(?:^|\s)language-([\w+#-]+)/.exec(code.className);
+  if (match) {
+    return match[1];
+  }
+  const block = pre.closest('code-block');
+  const label = block && block.querySelector('.code-block-decoration span');
+  return label ? label.textContent.trim().toLowerCase() : '';
+}
+
+// Minimal HTML -> Markdown conversion for rendered responses
+function toMarkdown(node, listDepth = 0) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent.replace(/\s+/g, ' ');
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE || EXPORT_DROPPED_TAGS.has(node.tagName)) {
+    return '';
+  }
+
+  const children = () => Array.from(node.childNodes).map(child => toMarkdown(child, listDepth)).join('');
+  switch (node.tagName) {
+    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+      return `\n\n${'#'.repeat(Number(node.tagName[1]))} ${children().trim()}\n\n`;
+    case 'P':
+    case 'DIV':
+      return `\n\n${children().trim()}\n\n`;
+    case 'BR':
+      return '  \n';
+    case 'HR':
+      return '\n\n---\n\n';
+    case 'STRONG': case 'B':
+      return `**${children()}**`;
+    case 'EM': case 'I':
+      return `*${children()}*`;
+    case 'S': case 'DEL':
+      return `~~${children()}~~`;
+    case 'CODE':
+      return `\`${node.textContent}\``;
+    case 'PRE':
+      return `\n\n\`\`\`${getCodeLanguage(node)}\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+    case 'A': {
+      const href = node.getAttribute('href') || '';
+      return isSafeUrl(href) ? `[${children().trim()}](${href})` : children();
+    }
+    case 'IMG': {
+      const src = node.getAttribute('src') || '';
+      return isSafeUrl(src) ? `![${node.getAttribute('alt') || ''}](${src})` : '';
+    }
+    case 'BLOCKQUOTE':
+      return `\n\n${children().trim().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+    case 'UL':
+    case 'OL': {
+      const items = Array.from(node.children).filter(child => child.tagName === 'LI');
+      const lines = items.map((item, index) => {
+        const marker = node.tagName === 'OL' ? `${index + 1}.` : '-';
+        const body = Array.from(item.childNodes).map(child => toMarkdown(child, listDepth + 1)).join('').trim();
+        return `${'  '.repeat(listDepth)}${marker} ${body.replace(/\n{2,}/g, '\n')}`;
+      });
+      return `\n\n${lines.join('\n')}\n\n`;
+    }
+    case 'TABLE': {
+      const rows = Array.from(node.querySelectorAll('tr')).map(row =>
+        `| ${Array.from(row.children).map(cell => cell.textContent.trim().replace(/\|/g, '\\|')).join(' | ')} |`
+      );
+      if (rows.length > 0) {
+        const columns = node.querySelector('tr').children.length;
+        rows.splice(1, 0, `|${' --- |'.repeat(columns)}`);
+      }
+      return `\n\n${rows.join('\n')}\n\n`;
+    }
+    default:
+      return children();
+  }
+}
+
+// Copy of a response's HTML with only safe tags and attributes
+// (built in an inert document so copied images aren't fetched again)
+let exportDocument = null;
+function toSafeHtml(node) {
+  exportDocument = exportDocument || document.implementation.createHTMLDocument('');
+  if (node.nodeType === Node.TEXT_NODE) {
+    const text = exportDocument.createElement('span');
+    text.textContent = node.textContent;
+    return text.innerHTML;
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE || EXPORT_DROPPED_TAGS.has(node.tagName)) {
+    return '';
+  }
+
+  const inner = Array.from(node.childNodes).map(toSafeHtml).join('');
+  if (!EXPORT_ALLOWED_TAGS.has(node.tagName)) {
+    return inner;
+  }
+
+  const tag = node.tagName.toLowerCase();
+  const element = exportDocument.createElement(tag);
+  if (tag === 'a' && isSafeUrl(node.getAttribute('href') || '')) {
+    element.setAttribute('href', node.getAttribute('href'));
+  } else if (tag === 'img') {
+    const src = node.getAttribute('src') || '';
+    if (!isSafeUrl(src, true)) {
+      return '';
+    }
+    element.setAttribute('src', src);
+    element.setAttribute('alt', node.getAttribute('alt') || '');
+  } else if (tag === 'pre' && getCodeLanguage(node)) {
+    element.setAttribute('data-language', getCodeLanguage(node));
+  }
+  element.innerHTML = inner;
+  return element.outerHTML;
+}
+
+// Turns of the open chat, in page order
+function extractConversation() {
+  const chatId = (location.pathname.match(/\/app\/([A-Za-z0-9_-]+)/) || [])[1] || null;
+  const selectedTitle = document.querySelector('.conversation.selected .conversation-title');
+  const turns = [];
+
+  for (const element of document.querySelectorAll('user-query, model-response')) {
+    if (element.tagName === 'USER-QUERY') {
+      const query = element.querySelector('.query-text') || element;
+      turns.push({ role: 'user', text: query.innerText.trim() });
+    } else {
+      const content = element.querySelector('message-content .markdown') ||
+        element.querySelector('message-content') || element;
+      turns.push({
+        role: 'model',
+        text: toMarkdown(content).replace(/\n{3,}/g, '\n\n').trim(),
+        html: toSafeHtml(content),
+        codeBlocks: Array.from(content.querySelectorAll('pre')).map(pre => ({
+          language: getCodeLanguage(pre),
+          code: pre.textContent
+        })),
+        images: Array.from(content.querySelectorAll('img'))
+          .filter(img => isSafeUrl(img.getAttribute('src') || ''))
+          .map(img => ({ src: img.getAttribute('src'), alt: img.getAttribute('alt') || '' }))
+      });
+    }
+  }
+
+  return {
+    title: selectedTitle ? selectedTitle.textContent.trim() : document.title.replace(/\s*-\s*Gemini$/, ''),
+    chatId,
+    url: location.href,
+    exportedAt: new Date().toISOString(),
+    turns
+  };
+}
+
+ipcRenderer.on('gemini:extract-conversation', (event, { requestId }) => {
+  try {
+    ipcRenderer.send('gemini:extract-conversation:reply', { requestId, result: extractConversation() });
+  } catch (error) {
+    ipcRenderer.send('gemini:extract-conversation:reply', { requestId, error: error.message });
+  }
+});
+
+// Conversation archive: snapshot the open chat once the page settles (only when enabled by main)
+let archivingEnabled = false;
+let snapshotTimer = null;
+let lastSnapshot = '';
+
+function sendSnapshot() {
+  const conversation = extractConversation();
+  if (!conversation.chatId || conversation.turns.length === 0) {
+    return;
+  }
+
+  const turns = conversation.turns.map(({ role, text }) => ({ role, text }));
+  const key = JSON.stringify([conversation.chatId, conversation.title, turns]);
+  if (key === lastSnapshot) {
+    return;
+  }
+  lastSnapshot = key;
+  ipcRenderer.send('gemini:conversation-snapshot', {
+    chatId: conversation.chatId,
+    title: conversation.title,
+    url: conversation.url,
+    turns
+  });
+}
+
+function scheduleSnapshot() {
+  if (!archivingEnabled) {
+    return;
+  }
+  clearTimeout(snapshotTimer);
+  snapshotTimer = setTimeout(() => {
+    try {
+      sendSnapshot();
+    } catch (error) {
+      console.error('Gemini Desktop - Could not snapshot conversation:', error);
+    }
+  }, 3000);
+}
+
+ipcRenderer.on('gemini:archive-state', (event, enabled) => {
+  archivingEnabled = enabled;
+  scheduleSnapshot();
+});
+
+// Response completion: tell main when the stop button goes away so it can notify
+// while the window is in the background
+let wasAnswering = false;
+let completionTimer = null;
+
+function sendCompletion() {
+  const responses = document.querySelectorAll('model-response');
+  const last = responses[responses.length - 1];
+  const content = last && (last.querySelector('message-content') || last);
+  const selectedTitle = document.querySelector('.conversation.selected .conversation-title');
+  ipcRenderer.send('gemini:response-complete', {
+    title: selectedTitle ? selectedTitle.textContent.trim() : '',
+    snippet: content ? content.innerText.replace(/\s+/g, ' ').trim().slice(0, 200) : ''
+  });
+}
+
+function checkAnswering() {
+  const answering = !!findElement(STOP_BUTTON_SELECTORS);
+  if (wasAnswering && !answering) {
+    // Give the last chunk a moment to render before reading it
+    clearTimeout(completionTimer);
+    completionTimer = setTimeout(sendCompletion, 500);
+  }
+  wasAnswering = answering;
+}
+
+// Prompt drafts: main keeps the unsent prompt of each chat (encrypted) so a reload,
+// crash or restart doesn't lose it; a new chat's draft is kept as 'new'
+let draftKey = null;
+let lastDraftText = '';
+let draftTimer = null;
+
+function getChatKey() {
+  return (location.pathname.match(/\/app\/([A-Za-z0-9_-]+)/) || [])[1] || 'new';
+}
+
+// Current prompt box text, or null while there is no prompt box
+function getPromptText() {
+  const input = findElement(PROMPT_INPUT_SELECTORS);
+  if (!input) {
+    return null;
+  }
+  return (input.tagName === 'TEXTAREA' ? input.value : input.innerText).replace(/\s+$/, '');
+}
+
+async function restoreDraft(key) {
+  const text = await ipcRenderer.invoke('gemini:get-draft', key);
+  if (!text) {
+    return;
+  }
+  await waitForElement(PROMPT_INPUT_SELECTORS);
+  // Don't overwrite what was typed (or inserted by Quick Ask) in the meantime
+  if (key === getChatKey() && !getPromptText()) {
+    lastDraftText = text;
+    await insertPrompt(text, false);
+  }
+}
+
+function checkDraft() {
+  if (location.hostname !== 'gemini.google.com') {
+    return;
+  }
+  const key = getChatKey();
+  if (key !== draftKey) {
+    // Sending the first prompt of a new chat moves it to its own URL; that draft is done
+    if (draftKey === 'new' && lastDraftText && !getPromptText()) {
+      ipcRenderer.send('gemini:draft', { key: 'new', text: '' });
+    }
+    draftKey = key;
+    lastDraftText = '';
+    restoreDraft(key).catch(error => {
+      console.error('Gemini Desktop - Could not restore prompt draft:', error);
+    });
+    return;
+  }
+
+  const text = getPromptText();
+  if (text !== null && text !== lastDraftText) {
+    lastDraftText = text;
+    ipcRenderer.send('gemini:draft', { key, text });
+  }
+}
+
+// At most once a second, also while an answer streams in
+function scheduleDraftCheck() {
+  if (!draftTimer) {
+    draftTimer = setTimeout(() => {
+      draftTimer = null;
+      checkDraft();
+    }, 1000);
+  }
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+  new MutationObserver(() => {
+    scheduleSnapshot();
+    checkAnswering();
+    scheduleDraftCheck();
+  }).observe(document.body, {
+    childList: true,
+    subtree: true,
+    characterData: true
+  });
+  // Typing into a textarea changes no DOM
+  document.addEventListener('input', scheduleDraftCheck, true);
+});
+
+// Prompts routed from the main process (Quick Ask, etc.)
+ipcRenderer.on('gemini:insert-prompt', (event, { text, submit }) => {
+  insertPrompt(text, submit).catch(error => {
+    console.error('Gemini Desktop - Could not insert prompt:', error);
+  });
+});
+
 // Log when preload script runs
 console.log('Gemini Desktop - Preload script loaded');
@@ -0,0 +1,82 @@
+// Release signing for the update checker (see "Updates" in README.md)
+//
+//   node sign-update.js keygen <private-key.pem>                 Create a key pair; the public key goes to assets/
+//   node sign-update.js sign <private-key.pem> <file> <version>  Write <file>.sig for that release version
+//   node sign-update.js serve <dir> [port]                        Serve <dir> on http://127.0.0.1 as a stand-in release host
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseVersion, signedUpdatePayload } = require('./lib/updates');
+
+const publicKeyPath = path.join(__dirname, 'assets', 'update-public-key.pem');
+
+const contentTypes = {
+  '.json': 'application/json',
+  '.sig': 'text/plain',
+  '.txt': 'text/plain'
+};
+
+function keygen(privateKeyPath) {
+  if (fs.existsSync(privateKeyPath)) {
+    throw new Error(`${privateKeyPath} already exists; refusing to overwrite a signing key`);
+  }
+  if (fs.existsSync(publicKeyPath)) {
+    throw new Error(`${publicKeyPath} already exists and installed builds only trust that key; delete it first to rotate keys`);
+  }
+  if (path.resolve(privateKeyPath).startsWith(__dirname + path.sep)) {
+    throw new Error('Keep the private key outside the project folder so it never gets committed or packaged');
+  }
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  fs.writeFileSync(privateKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  fs.writeFileSync(publicKeyPath, publicKey.export({ type: 'spki', format: 'pem' }));
+  console.log(`Private key: ${privateKeyPath} (keep it secret and backed up)`);
+  console.log(`Public key:  ${publicKeyPath} (commit it; builds check updates against it)`);
+}
+
+function sign(privateKeyPath, filePath, version) {
+  if (!parseVersion(version)) {
+    throw new Error(`${version} is not a release version like 2026.02.14.0930 (see npm run version:stamp)`);
+  }
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(privateKeyPath));
+  const signature = crypto.sign(null, signedUpdatePayload(version.trim(), fs.readFileSync(filePath)), privateKey);
+  fs.writeFileSync(`${filePath}.sig`, `${signature.toString('base64')}\n`);
+  console.log(`Signed ${filePath} as version ${version.trim()} -> ${filePath}.sig`);
+}
+
+function serve(dir, port = 8787) {
+  const root = path.resolve(dir);
+  http.createServer((request, response) => {
+    const filePath = path.join(root, decodeURIComponent(new URL(request.url, 'http://localhost').pathname));
+    if (!filePath.startsWith(root + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      response.writeHead(404).end('Not found');
+      return;
+    }
+    console.log(`${request.method} ${request.url}`);
+    response.writeHead(200, {
+      'Content-Type': contentTypes[path.extname(filePath)] || 'application/octet-stream',
+      'Content-Length': fs.statSync(filePath).size
+    });
+    fs.createReadStream(filePath).pipe(response);
+  }).listen(port, '127.0.0.1', () => {
+    console.log(`Serving ${root} at http://127.0.0.1:${port}/ (set the update manifest URL to http://127.0.0.1:${port}/manifest.json)`);
+  });
+}
+
+const [command, ...args] = process.argv.slice(2);
+try {
+  if (command === 'keygen' && args.length === 1) {
+    keygen(args[0]);
+  } else if (command === 'sign' && args.length === 3) {
+    sign(args[0], args[1], args[2]);
+  } else if (command === 'serve' && args.length >= 1) {
+    serve(args[0], args[1] ? Number(args[1]) : undefined);
+  } else {
+    console.log(fs.readFileSync(__filename, 'utf8').split('\n').slice(2, 5).map(line => line.replace(/^\/\/ ?/, '')).join('\n'));
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
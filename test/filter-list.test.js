@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFilterList, createFilterEngine, getBaseDomain } = require('../lib/filter-list');
+
+function createEngine(...lines) {
+  return createFilterEngine([{ name: 'test', text: lines.join('\n') }]);
+}
+
+// Request from a page on firstPartyHost (null when there is no page, e.g. a download)
+function request(url, { resourceType = 'image', firstPartyHost = 'gemini.google.com' } = {}) {
+  return { url, hostname: new URL(url).hostname, resourceType, firstPartyHost };
+}
+
+function blocks(engine, url, options) {
+  return engine.match(request(url, options)) !== null;
+}
+
+test('skips comments, cosmetic, regex and unsupported rules', () => {
+  const { rules, skipped } = parseFilterList([
+    '[Adblock Plus 2.0]',
+    '! Title: test',
+    '',
+    '##.ad-banner',
+    'example.com#@#.sponsored',
+    '/ads?[0-9]+/',
+    '||ads.example^$redirect=noop.js',
+    '||tracker.example^'
+  ].join('\r\n'));
+  assert.deepEqual(rules.map(rule => rule.text), ['||tracker.example^']);
+  assert.equal(skipped, 4);
+});
+
+test('||domain anchors match the host and its subdomains only', () => {
+  const engine = createEngine('||tracker.example^');
+  assert.equal(blocks(engine, 'https://tracker.example/pixel.gif'), true);
+  assert.equal(blocks(engine, 'https://cdn.tracker.example/a.js'), true);
+  assert.equal(blocks(engine, 'https://nottracker.example/a.js'), false);
+  assert.equal(blocks(engine, 'https://tracker.example.org/a.js'), false);
+});
+
+test('| anchors, * wildcards and ^ separators', () => {
+  const engine = createEngine('|https://ads.', '/beacon.gif|', '/collect^*tid=');
+  assert.equal(blocks(engine, 'https://ads.example.com/x'), true);
+  assert.equal(blocks(engine, 'https://www.example.com/?ref=https://ads.example.com'), false);
+  assert.equal(blocks(engine, 'https://stats.example.com/beacon.gif'), true);
+  assert.equal(blocks(engine, 'https://stats.example.com/beacon.gif?v=1'), false);
+  assert.equal(blocks(engine, 'https://stats.example.com/collect?v=1&tid=UA-1'), true);
+  assert.equal(blocks(engine, 'https://stats.example.com/collector?tid=UA-1'), false);
+});
+
+test('domain= limits a rule to pages on the listed domains', () => {
+  const engine = createEngine('/pixel.$domain=news.example|~sports.news.example');
+  assert.equal(blocks(engine, 'https://cdn.example.net/pixel.png', { firstPartyHost: 'www.news.example' }), true);
+  assert.equal(blocks(engine, 'https://cdn.example.net/pixel.png', { firstPartyHost: 'sports.news.example' }), false);
+  assert.equal(blocks(engine, 'https://cdn.example.net/pixel.png', { firstPartyHost: 'other.example' }), false);
+  assert.equal(blocks(engine, 'https://cdn.example.net/pixel.png', { firstPartyHost: null }), false);
+});
+
+test('third-party compares registrable domains', () => {
+  const engine = createEngine('||metrics.example.co.uk^$third-party', '/track.js$~third-party,script');
+  assert.equal(blocks(engine, 'https://metrics.example.co.uk/a'), true);
+  assert.equal(blocks(engine, 'https://metrics.example.co.uk/a', { firstPartyHost: 'www.example.co.uk' }), false);
+  assert.equal(blocks(engine, 'https://gemini.google.com/track.js', { resourceType: 'script' }), true);
+  assert.equal(blocks(engine, 'https://gemini.google.com/track.js', { resourceType: 'image' }), false);
+  assert.equal(blocks(engine, 'https://cdn.example.com/track.js', { resourceType: 'script' }), false);
+  assert.equal(getBaseDomain('a.b.example.co.uk'), 'example.co.uk');
+  assert.equal(getBaseDomain('a.b.example.com'), 'example.com');
+});
+
+test('exceptions allow requests unless a rule is important', () => {
+  const engine = createEngine(
+    '||tracker.example^',
+    '@@||tracker.example/consent^',
+    '||ads.example^$important',
+    '@@||ads.example^'
+  );
+  assert.equal(blocks(engine, 'https://tracker.example/consent/v2'), false);
+  assert.equal(blocks(engine, 'https://tracker.example/collect'), true);
+  assert.equal(blocks(engine, 'https://ads.example/banner.png'), true);
+});
+
+test('match-case rules only match the exact case', () => {
+  const engine = createEngine('TrackPixel.gif$match-case', '/img/SpyPixel.png$match-case', '/adserver/*');
+  assert.equal(blocks(engine, 'https://x.example.com/TrackPixel.gif'), true);
+  assert.equal(blocks(engine, 'https://x.example.com/trackpixel.gif'), false);
+  assert.equal(blocks(engine, 'https://x.example.com/img/SpyPixel.png'), true);
+  assert.equal(blocks(engine, 'https://x.example.com/img/spypixel.png'), false);
+  assert.equal(blocks(engine, 'https://x.example.com/AdServer/a.js'), true);
+});
+
+test('exceptions never override important rules, not even important exceptions', () => {
+  const engine = createEngine(
+    '||ads.example^$important',
+    '||ads.example/video^',
+    '@@||ads.example/banner.png',
+    '@@||ads.example/promo^$important',
+    '@@||ads.example/video^'
+  );
+  assert.equal(blocks(engine, 'https://ads.example/banner.png'), true);
+  assert.equal(blocks(engine, 'https://ads.example/promo/a.png'), true);
+  assert.equal(blocks(engine, 'https://cdn.example.net/video/a.mp4'), false);
+});
+
+test('domain=~x alone applies everywhere except the excluded pages', () => {
+  const engine = createEngine('/pixel.$domain=~sports.example');
+  assert.equal(blocks(engine, 'https://cdn.example.net/pixel.png', { firstPartyHost: 'news.example' }), true);
+  assert.equal(blocks(engine, 'https://cdn.example.net/pixel.png', { firstPartyHost: 'sports.example' }), false);
+  assert.equal(blocks(engine, 'https://cdn.example.net/pixel.png', { firstPartyHost: 'live.sports.example' }), false);
+  assert.equal(blocks(engine, 'https://cdn.example.net/pixel.png', { firstPartyHost: null }), true);
+});
+
+test('third-party rules do not apply without a first-party page', () => {
+  const engine = createEngine('||metrics.example^$third-party', '||cdn.example^$~third-party');
+  assert.equal(blocks(engine, 'https://metrics.example/a', { firstPartyHost: null }), false);
+  assert.equal(blocks(engine, 'https://cdn.example/a', { firstPartyHost: null }), false);
+  assert.equal(blocks(engine, 'https://cdn.example/a', { firstPartyHost: 'www.cdn.example' }), true);
+});
+
+test('reports the rule that blocked a request', () => {
+  const engine = createFilterEngine([{ name: 'EasyPrivacy', text: '||tracker.example^' }]);
+  const rule = engine.match(request('https://tracker.example/a'));
+  assert.equal(rule.list, 'EasyPrivacy');
+  assert.equal(rule.text, '||tracker.example^');
+  assert.deepEqual(engine.stats, [{ name: 'EasyPrivacy', rules: 1, skipped: 0 }]);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPolicy, isSettingLocked } = require('../lib/policy');
+
+function withPolicyFile(text, check) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+  const filePath = path.join(dir, 'policy.json');
+  try {
+    if (text !== null) {
+      fs.writeFileSync(filePath, text);
+    }
+    check(filePath);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('a missing policy file means no policy', () => {
+  withPolicyFile(null, (filePath) => {
+    const result = loadPolicy(filePath);
+    assert.equal(result.found, false);
+    assert.equal(result.failed, false);
+    assert.equal(isSettingLocked(result.policy, 'logLevel'), false);
+  });
+});
+
+test('a policy file that cannot be parsed locks every managed setting', () => {
+  for (const text of ['{"settings": {', '[]', 'null']) {
+    withPolicyFile(text, (filePath) => {
+      const result = loadPolicy(filePath);
+      assert.equal(result.found, true);
+      assert.equal(result.failed, true);
+      assert.equal(result.errors.length, 1);
+      assert.equal(isSettingLocked(result.policy, 'logLevel'), true);
+      assert.equal(isSettingLocked(result.policy, 'updateManifestUrl'), true);
+      assert.equal(isSettingLocked(result.policy, 'openChats'), false);
+      assert.equal(result.policy.disableDevTools, true);
+    });
+  }
+});
+
+test('invalid entries are dropped while the rest of the policy applies', () => {
+  withPolicyFile(JSON.stringify({ settings: { logLevel: 'debug', openChats: [] }, locked: ['nope'] }), (filePath) => {
+    const result = loadPolicy(filePath);
+    assert.equal(result.failed, false);
+    assert.deepEqual(result.policy.settings, { logLevel: 'debug' });
+    assert.equal(result.errors.length, 2);
+  });
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const updates = require('../lib/updates');
+
+test('compares date-stamped versions', () => {
+  assert.ok(updates.compareVersions('2026.02.14.0930', '2026.01.20.1609') > 0);
+  assert.ok(updates.compareVersions('2026.1.20.1609', '2026.01.20.1610') < 0);
+  assert.equal(updates.compareVersions('2026.01.20', '2026.1.20.0'), 0);
+  assert.ok(updates.compareVersions('not a version', '2026.01.20.1609') < 0);
+});
+
+test('only allows HTTPS, or HTTP on this computer', () => {
+  assert.equal(updates.isAllowedUpdateUrl('https://example.com/manifest.json'), true);
+  assert.equal(updates.isAllowedUpdateUrl('http://localhost:8787/manifest.json'), true);
+  assert.equal(updates.isAllowedUpdateUrl('http://[::1]:8787/manifest.json'), true);
+  assert.equal(updates.isAllowedUpdateUrl('http://example.com/manifest.json'), false);
+  assert.equal(updates.isAllowedUpdateUrl('file:///tmp/manifest.json'), false);
+});
+
+test('resolves asset and signature URLs against the manifest', () => {
+  const result = updates.normalizeManifest({
+    version: '2026.02.14.0930',
+    assets: {
+      'win32-x64': { url: 'Gemini-Desktop-Setup.exe', size: 1234 },
+      'darwin-arm64': { url: 'http://example.com/Gemini-Desktop.dmg' }
+    }
+  }, 'https://example.com/releases/manifest.json');
+  assert.equal(result.valid, true);
+  assert.deepEqual(updates.selectAsset(result.value, 'win32', 'x64'), {
+    url: 'https://example.com/releases/Gemini-Desktop-Setup.exe',
+    signatureUrl: 'https://example.com/releases/Gemini-Desktop-Setup.exe.sig',
+    size: 1234
+  });
+  assert.equal(updates.selectAsset(result.value, 'darwin', 'arm64'), null);
+  assert.equal(updates.normalizeManifest({ version: 'latest' }, 'https://example.com/').valid, false);
+});
+
+test('a signature only verifies the file as the version it was signed for', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+  const installer = Buffer.from('installer bytes');
+  const signature = crypto.sign(null, updates.signedUpdatePayload('2026.01.20.1609', installer), privateKey);
+  const encoded = updates.decodeSignature(Buffer.from(`${signature.toString('base64')}\n`));
+
+  assert.equal(updates.verifySignature(updates.signedUpdatePayload('2026.01.20.1609', installer), encoded, publicKeyPem), true);
+  assert.equal(updates.verifySignature(updates.signedUpdatePayload('2026.02.14.0930', installer), encoded, publicKeyPem), false);
+  assert.equal(updates.verifySignature(updates.signedUpdatePayload('2026.01.20.1610', installer), encoded, publicKeyPem), false);
+  assert.equal(updates.verifySignature(updates.signedUpdatePayload('2026.01.20.1609', Buffer.from('other')), encoded, publicKeyPem), false);
+  assert.equal(updates.verifySignature(updates.signedUpdatePayload('2026.01.20.1609', installer), null, publicKeyPem), false);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readBinaryVdf, writeBinaryVdf } = require('../lib/vdf');
+
+// A shortcuts.vdf with one entry, laid out field by field as Steam writes it
+function sampleFile() {
+  const string = (name, value) => [Buffer.of(0x01), Buffer.from(`${name}\0${value}\0`)];
+  const int32 = (name, value) => {
+    const number = Buffer.alloc(4);
+    number.writeInt32LE(value);
+    return [Buffer.of(0x02), Buffer.from(`${name}\0`), number];
+  };
+  return Buffer.concat([
+    Buffer.of(0x00), Buffer.from('shortcuts\0'),
+    Buffer.of(0x00), Buffer.from('0\0'),
+    ...int32('appid', -1234567890),
+    ...string('AppName', 'Gemini Desktop'),
+    ...string('Exe', '"/home/deck/Gemini Desktop/Gemini Desktop"'),
+    ...string('LaunchOptions', ''),
+    ...int32('LastPlayTime', 1767225600),
+    Buffer.of(0x00), Buffer.from('tags\0'),
+    ...string('0', 'Productivity'),
+    ...string('1', 'Ünïcode ✓'),
+    Buffer.of(0x08),
+    Buffer.of(0x08),
+    Buffer.of(0x08),
+    Buffer.of(0x08)
+  ]);
+}
+
+test('reads a shortcuts file into objects', () => {
+  const result = readBinaryVdf(sampleFile());
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.value, {
+    shortcuts: {
+      0: {
+        appid: -1234567890,
+        AppName: 'Gemini Desktop',
+        Exe: '"/home/deck/Gemini Desktop/Gemini Desktop"',
+        LaunchOptions: '',
+        LastPlayTime: 1767225600,
+        tags: { 0: 'Productivity', 1: 'Ünïcode ✓' }
+      }
+    }
+  });
+});
+
+test('writes back the bytes it read', () => {
+  const file = sampleFile();
+  assert.deepEqual(writeBinaryVdf(readBinaryVdf(file).value), file);
+});
+
+test('round-trips every value type', () => {
+  const value = {
+    shortcuts: {},
+    nested: { deeper: { text: 'a "quoted" value', empty: '' } },
+    negative: -1,
+    largest: 0x7fffffff,
+    id: 76561197960265728n
+  };
+  const result = readBinaryVdf(writeBinaryVdf(value));
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.value, value);
+});
+
+test('reports truncated and unknown data instead of throwing', () => {
+  const file = sampleFile();
+  assert.equal(readBinaryVdf(file.subarray(0, file.length - 1)).valid, false);
+  assert.equal(readBinaryVdf(file.subarray(0, 20)).valid, false);
+  assert.equal(readBinaryVdf(Buffer.concat([file, Buffer.of(0x08)])).valid, false);
+  assert.match(readBinaryVdf(Buffer.from('\x05name\0\x08', 'latin1')).error, /unsupported field type 0x05/);
+});
+
+test('refuses values the format cannot hold', () => {
+  assert.throws(() => writeBinaryVdf({ ratio: 1.5 }), TypeError);
+  assert.throws(() => writeBinaryVdf({ big: 0x80000000 }), TypeError);
+  assert.throws(() => writeBinaryVdf({ list: ['a'] }), TypeError);
+  assert.throws(() => writeBinaryVdf({ text: 'a\0b' }), TypeError);
+});
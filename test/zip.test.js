@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { createZip } = require('../lib/zip');
+
+// Read an archive back through its central directory: [{ name, crc, data, date }]
+function readZip(archive) {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50);
+  const count = archive.readUInt16LE(end + 10);
+  let position = archive.readUInt32LE(end + 16);
+  assert.equal(position + archive.readUInt32LE(end + 12), end);
+
+  const entries = [];
+  for (let index = 0; index < count; index++) {
+    assert.equal(archive.readUInt32LE(position), 0x02014b50);
+    const date = archive.readUInt16LE(position + 14);
+    const crc = archive.readUInt32LE(position + 16);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const size = archive.readUInt32LE(position + 24);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const localOffset = archive.readUInt32LE(position + 42);
+    const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength;
+
+    assert.equal(archive.readUInt32LE(localOffset), 0x04034b50);
+    assert.equal(archive.readUInt32LE(localOffset + 14), crc);
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+    const data = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+    assert.equal(data.length, size);
+    entries.push({ name, crc, data, date });
+  }
+  return entries;
+}
+
+test('round-trips every entry with matching CRCs', () => {
+  const entries = [
+    { name: 'system.json', data: JSON.stringify({ platform: 'linux' }, null, 2) },
+    { name: 'logs\\main.log', data: 'line\n'.repeat(1000) },
+    { name: 'crash-reports/ü.json', data: Buffer.from([0, 1, 2, 255]) },
+    { name: 'empty.txt', data: '' }
+  ];
+  const read = readZip(createZip(entries, new Date(2026, 0, 20, 16, 9, 30)));
+
+  assert.equal(read.length, entries.length);
+  assert.deepEqual(read.map(entry => entry.name), ['system.json', 'logs/main.log', 'crash-reports/ü.json', 'empty.txt']);
+  read.forEach((entry, index) => {
+    const original = Buffer.isBuffer(entries[index].data) ? entries[index].data : Buffer.from(entries[index].data);
+    assert.deepEqual(entry.data, original);
+    assert.equal(entry.crc, zlib.crc32(original));
+    assert.equal(entry.date, ((2026 - 1980) << 9) | (1 << 5) | 20);
+  });
+});
+
+test('writes a valid empty archive', () => {
+  const archive = createZip([]);
+  assert.equal(archive.length, 22);
+  assert.deepEqual(readZip(archive), []);
+});